@@ -0,0 +1,53 @@
+// app.js — Azure Functions entry point (v4 programming model, Node 18+)
+// ------------------------------------
+// Registers every function: routes, methods and schedules live here rather than
+// in per-folder function.json files. Handlers keep their (context, req) shape and
+// run through shared/host.js. HTTP streaming (used by the chat endpoint's SSE
+// mode) needs Functions host 4.28+.
+
+const { app } = require("@azure/functions");
+const { httpHandler, timerHandler } = require("./shared/host");
+
+app.setup({ enableHttpStream: true });
+
+/* =====================  HTTP  ===================== */
+app.http("chat", {
+  route: "chat",
+  methods: ["POST", "OPTIONS"],
+  authLevel: "function",
+  handler: httpHandler(require("./chat")),
+});
+
+app.http("email-preview", {
+  route: "email/preview/{template?}",
+  methods: ["GET", "POST"],
+  authLevel: "function",
+  handler: httpHandler(require("./email-preview")),
+});
+
+app.http("request-status", {
+  route: "requests/{id}/status",
+  methods: ["GET", "POST", "OPTIONS"],
+  authLevel: "function",
+  handler: httpHandler(require("./request-status")),
+});
+
+app.http("sms-inbound", {
+  route: "sms/inbound",
+  methods: ["POST"],
+  authLevel: "function",
+  handler: httpHandler(require("./sms-inbound")),
+});
+
+/* =====================  Timers  ===================== */
+app.timer("outbox-drain", {
+  schedule: "0 */5 * * * *",
+  runOnStartup: false,
+  handler: timerHandler(require("./outbox-drain")),
+});
+
+app.timer("team-digest", {
+  schedule: "0 0 * * * *",
+  runOnStartup: false,
+  handler: timerHandler(require("./team-digest")),
+});
@@ -1,169 +1,30 @@
 // index.js — Azure Function (Node 18+)
 // ------------------------------------
 
-const { google } = require("googleapis");
-const fetch = require("node-fetch");
-const nodemailer = require("nodemailer");
-
-/* =====================  Google Sheets  ===================== */
-async function getSheetsClient() {
-  const creds = JSON.parse(process.env.GOOGLE_SHEETS_CREDENTIALS);
-  const auth = new google.auth.JWT(
-    creds.client_email,
-    null,
-    creds.private_key,
-    ["https://www.googleapis.com/auth/spreadsheets"]
-  );
-  await auth.authorize();
-  return google.sheets({ version: "v4", auth });
-}
-
-async function appendToSheet(row) {
-  const sheets = await getSheetsClient();
-  const spreadsheetId = process.env.GOOGLE_SHEETS_ID;
-  const range = process.env.GOOGLE_SHEETS_RANGE || "Sheet1!A:I";
-  await sheets.spreadsheets.values.append({
-    spreadsheetId,
-    range,
-    valueInputOption: "USER_ENTERED",
-    requestBody: { values: [row] },
-  });
-}
-
-/**
- * Unified row (A..I):
- *  A Timestamp
- *  B Artist_or_event
- *  C Ticket_qty
- *  D Budget_tier
- *  E Date_or_date_range
- *  F Name
- *  G Email
- *  H Phone
- *  I Notes
- */
-function toRow(c) {
-  const ts = new Date().toLocaleString("en-US", { timeZone: "America/Chicago" }); // A
-  const artist = c?.artist_or_event || "";                                        // B
-  const qty = Number.isFinite(c?.ticket_qty)
-    ? c.ticket_qty
-    : (parseInt(c?.ticket_qty || "", 10) || "");                                   // C
-  const budgetTier = c?.budget_tier || c?.budget || "";                            // D
-  const dateRange = c?.date_or_date_range || "";                                   // E
-  const name = c?.name || "";                                                      // F
-  const email = c?.email || "";                                                    // G
-  const phone = c?.phone || "";                                                    // H
-  const notes = c?.notes || "";                                                    // I
-  return [ts, artist, qty, budgetTier, dateRange, name, email, phone, notes];
-}
-
-/* =====================  Budget tiering  ===================== */
-function normalizeBudgetTier(text = "") {
-  const t = text.toLowerCase();
-  const num = parseInt(t.replace(/[^\d]/g, ""), 10);
-
-  if (/(<\s*\$?50|under\s*50|less\s*than\s*\$?50)/i.test(text)) return "<$50";
-  if (/\b(50[\s–-]?99|50-99|50 to 99)\b/i.test(text)) return "$50–$99";
-  if (/\b(100[\s–-]?149|100-149|100 to 149)\b/i.test(text)) return "$100–$149";
-  if (/\b(150[\s–-]?199|150-199|150 to 199)\b/i.test(text)) return "$150–$199";
-  if (/\b(200[\s–-]?249|200-249|200 to 249)\b/i.test(text)) return "$200–$249";
-  if (/\b(250[\s–-]?299|250-299|250 to 299)\b/i.test(text)) return "$250–$299";
-  if (/\b(300[\s–-]?349|300-349|300 to 349)\b/i.test(text)) return "$300–$349";
-  if (/\b(350[\s–-]?399|350-399|350 to 399)\b/i.test(text)) return "$350–$399";
-  if (/(400|450)/i.test(text)) return "$400–$499";
-  if (/\$?500\+|over\s*\$?500|>\s*\$?500/i.test(text)) return "$500+";
-
-  if (!isNaN(num)) {
-    if (num < 50) return "<$50";
-    if (num < 100) return "$50–$99";
-    if (num < 150) return "$100–$149";
-    if (num < 200) return "$150–$199";
-    if (num < 250) return "$200–$249";
-    if (num < 300) return "$250–$299";
-    if (num < 350) return "$300–$349";
-    if (num < 400) return "$350–$399";
-    if (num < 500) return "$400–$499";
-    return "$500+";
-  }
-  return "";
-}
+const { saveRequest, saveRequestGroup, lookupRequest, DUPLICATE_WINDOW_HOURS } = require("../shared/storage");
+const { REQUEST_ID_RE, asksForStatus, describeStatus } = require("../shared/status");
+const { deliverEmail, deliverConfirmationEmail } = require("../shared/email");
+const { notifyNewRequest, notifyHandoff } = require("../shared/notify");
+const { toE164, deliverSms } = require("../shared/sms");
+const { logTurn, redact } = require("../shared/transcripts");
+const { getSessions, newSessionId } = require("../shared/sessions");
+const { sseEvent } = require("../shared/sse");
+const { getProvider } = require("../shared/llm");
+const { buildSystemPrompt, assignPromptVersion } = require("../shared/prompts");
+const { getShows, extractFilters, hasFilters, filterShows, describeFilters } = require("../shared/catalog");
+const { quotePrice } = require("../shared/pricing");
+const { normName } = require("../shared/tables");
+const { normalizeBudgetTier, tierFor, tierLabels } = require("../shared/budget");
+const { DATE_PHRASE_RE, resolveDateRange, formatIsoRange, todayISO } = require("../shared/dates");
 
 const EMAIL_RE = /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/i;
 const PHONE_RE = /\b(\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/;
 const QTY_RE   = /\b(\d{1,2})\b/;
-const DATE_WORDS = /\b(today|tonight|tomorrow|this\s*(week|weekend)|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s*\d{1,2}(?:,\s*\d{4})?)\b/i;
-
-/* =====================  Gmail confirmation  ===================== */
-function buildConfirmationEmail(c) {
-  const artist = c.artist_or_event || "your event";
-  const qty = c.ticket_qty || "?";
-  const budget = normalizeBudgetTier(c.budget_tier || c.budget || "") || "—";
-  const date = c.date_or_date_range || "TBD";
-  const name = c.name || "there";
-
-  const subject = `We got your request: ${artist}`;
-  const text =
-`Hey ${name},
-
-Thanks for using Fair Ticket Exchange!
-We’ve logged your request:
-
-• Artist/Event: ${artist}
-• Qty: ${qty}
-• Date/Range: ${date}
-• Budget: ${budget}
-• Notes: ${c.notes || "—"}
-
-Our team will follow up by email with options.`;
-
-  const html = `
-  <div style="font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;line-height:1.5;">
-    <p>Hey ${name},</p>
-    <p>Thanks for using <strong>Fair Ticket Exchange</strong>! We’ve logged your request:</p>
-    <ul>
-      <li><strong>Artist/Event:</strong> ${artist}</li>
-      <li><strong>Qty:</strong> ${qty}</li>
-      <li><strong>Date/Range:</strong> ${date}</li>
-      <li><strong>Budget:</strong> ${budget}</li>
-      <li><strong>Notes:</strong> ${c.notes || "—"}</li>
-    </ul>
-    <p>Our team will follow up by email with the best options.</p>
-    <p style="color:#7a7a7a;">— FTE Team</p>
-  </div>`;
-  return { subject, text, html };
-}
-
-async function sendConfirmationEmail(c) {
-  // No-op if email isn't configured
-  if (!process.env.GMAIL_USER || !process.env.GMAIL_APP_PASSWORD || !c?.email) return;
-
-  const transporter = nodemailer.createTransport({
-    service: "gmail",
-    auth: {
-      user: process.env.GMAIL_USER,
-      pass: process.env.GMAIL_APP_PASSWORD,
-    },
-  });
-
-  const { subject, text, html } = buildConfirmationEmail(c);
-  const from = process.env.GMAIL_FROM || process.env.GMAIL_USER;
-  const replyTo = process.env.GMAIL_REPLY_TO || from;
-  const bcc = process.env.GMAIL_BCC || undefined;
-
-  await transporter.sendMail({
-    from,
-    to: c.email,
-    bcc,
-    replyTo,
-    subject,
-    text,
-    html,
-  });
-}
+const DATE_WORDS = DATE_PHRASE_RE;
 
 /* =====================  Turn-aware extraction  ===================== */
 function extractTurnAware(messages) {
-  const out = { artist_or_event:"", ticket_qty:"", budget_tier:"", date_or_date_range:"", name:"", email:"", phone:"", notes:"" };
+  const out = { artist_or_event:"", ticket_qty:"", budget_tier:"", date_or_date_range:"", name:"", email:"", phone:"", sms_opt_in:"", notes:"" };
   for (let i = 0; i < messages.length - 1; i++) {
     const a = messages[i], u = messages[i + 1];
     if (a.role !== "assistant" || u.role !== "user") continue;
@@ -172,12 +33,16 @@ function extractTurnAware(messages) {
 
     if (!out.artist_or_event && /(artist|event).*(interested|looking|tickets?)/.test(q)) out.artist_or_event = ans.replace(/tickets?/ig, "").trim();
     if (!out.ticket_qty && /(how many|quantity|qty)/.test(q)) { const m = ans.match(QTY_RE); if (m) out.ticket_qty = parseInt(m[1], 10); }
-    if (!out.budget_tier && /(budget|price range|per ticket)/.test(q)) out.budget_tier = normalizeBudgetTier(ans);
+    if (!out.budget_tier && /(budget|price range|per ticket)/.test(q)) out.budget_tier = normalizeBudgetTier(ans, { qty: out.ticket_qty });
     if (!out.date_or_date_range && /(date|when)/.test(q)) { const dm = ans.match(DATE_WORDS); out.date_or_date_range = dm ? dm[0] : ans.trim(); }
     if (!out.name && /name/.test(q)) { if (!EMAIL_RE.test(ans) && !PHONE_RE.test(ans)) out.name = ans.trim(); }
     if (!out.email && /(email|e-mail)/.test(q)) { const em = ans.match(EMAIL_RE); if (em) out.email = em[0]; }
     if (!out.phone && /(phone|number)/.test(q)) { const pm = ans.match(PHONE_RE); if (pm) out.phone = pm[0]; }
-    if (/notes?|special|requests?/i.test(q)) { if (!/no|none|n\/a/i.test(ans)) out.notes = ans.trim(); }
+    if (/\b(text|sms)\b/.test(q)) {
+      if (/^\s*(yes|yep|yeah|sure|ok(ay)?|please do|go for it|fine)\b/i.test(ans)) out.sms_opt_in = true;
+      else if (/^\s*(no|nope|nah|don'?t|please don'?t)\b/i.test(ans)) out.sms_opt_in = false;
+    }
+    if (/\b(notes?|special requests?|anything else we should know)\b/i.test(q)) { if (!/no|none|n\/a/i.test(ans)) out.notes = ans.trim(); }
   }
   return out;
 }
@@ -190,7 +55,7 @@ function extractFromTranscript(messages) {
   let artist = "";
   for (const t of userTexts) {
     const m = t.match(/(?:see|want|looking.*for|tickets? for|go to|interested in)\s+(.+)/i);
-    if (m) { artist = m[1].replace(/tickets?$/i, "").trim(); break; }
+    if (m) { artist = m[1].replace(/^to\s+(see|go\s+to)\s+/i, "").replace(/tickets?$/i, "").trim(); break; }
   }
   if (!artist && userTexts.length) artist = userTexts[0].trim();
   if (/^hi|hello|hey$/i.test(artist)) artist = "";
@@ -203,7 +68,9 @@ function extractFromTranscript(messages) {
 
   let budget_tier = "";
   for (let i = userTexts.length-1; i >= 0; i--) {
-    const bt = normalizeBudgetTier(userTexts[i]);
+    // Bare numbers are usually quantities; only read budgets with a price cue
+    if (!/\$|budget|each|per\s+ticket|under|over|less\s+than/i.test(userTexts[i])) continue;
+    const bt = normalizeBudgetTier(userTexts[i], { qty });
     if (bt) { budget_tier = bt; break; }
   }
 
@@ -232,8 +99,10 @@ function extractFromTranscript(messages) {
   return { artist_or_event: artist || "", ticket_qty: qty ?? "", budget_tier, date_or_date_range, name, email, phone, notes };
 }
 
-function haveRequired(c) {
-  return !!(c.artist_or_event && c.ticket_qty && c.name && c.email);
+const REQUIRED_FIELDS = ["artist_or_event", "ticket_qty", "name", "email"];
+
+function missingRequired(c) {
+  return REQUIRED_FIELDS.filter(f => !c?.[f]);
 }
 function userConfirmed(text) {
   return /\b(yes|yep|yeah|correct|confirm|finalize|go ahead|proceed|place it|submit|that's right|looks good|do it|book it)\b/i.test(text || "");
@@ -242,869 +111,644 @@ function userAskedForm(text) {
   return /\b(open|use|show)\b.*\b(form)\b|\bmanual request\b/i.test(text || "");
 }
 
-/* =====================  Hard-coded recommendations  ===================== */
-// Keep your big list here; a few placeholders so the code runs.
-const RECOMMENDED_SHOWS = [
-  { artist: "Damon Darling", venue: "Zanies Comedy Club Rosemont", date: "2025-08-30" },
-  { artist: "Mc Magic", venue: "Vic Theatre", date: "2025-08-30" },
-  { artist: "Trace Adkins", venue: "Park Centennial Park West", date: "2025-08-30" },
-  { artist: "Adam Beyer", venue: "Prysm Nightclub", date: "2025-08-30" },
-  { artist: "Of The Trees", venue: "Garcias Chicago", date: "2025-08-30" },
-  { artist: "Whiskey Friends   Tribute To Morgan Wallen", venue: "City Live At The Lakefront", date: "2025-08-30" },
-  { artist: "Atliens", venue: "Joes On Weed Street", date: "2025-08-30" },
-  { artist: "The Whispers", venue: "Club Hills Country Club Hills Theater", date: "2025-08-30" },
-  { artist: "Nghtmre", venue: "Tao Chicago", date: "2025-08-30" },
-  { artist: "Fromis 9", venue: "Chicago Theatre", date: "2025-08-30" },
-  { artist: "Nate Jackson", venue: "Chicago Improv", date: "2025-08-30" },
-  { artist: "Excision", venue: "House Of Blues Chicago", date: "2025-08-30" },
-  { artist: "Peephole   System Of A Down Tribute", venue: "Cubby Bear", date: "2025-08-30" },
-  { artist: "Twihard   A Twilight Musical Parody", venue: "Apollo Theater Chicago", date: "2025-08-30" },
-  { artist: "Come From Away", venue: "Paramount Theatre Aurora", date: "2025-08-30" },
-  { artist: "Come From Away", venue: "Paramount Theatre Aurora", date: "2025-08-30" },
-  { artist: "Million Dollar Quartet", venue: "Paramount Theatre Aurora", date: "2025-08-30" },
-  { artist: "Calo Flamenco", venue: "Rosemont Theatre", date: "2025-08-30" },
-  { artist: "System Of A Down", venue: "Soldier Field Parking", date: "2025-08-31" },
-  { artist: "Junior H", venue: "Park Credit Union 1 Amphitheatre", date: "2025-08-31" },
-  { artist: "Chicago White Sox", venue: "Rate Field", date: "2025-08-31" },
-  { artist: "John Summit", venue: "Radius Chicago", date: "2025-08-31" },
-  { artist: "Zakir Khan", venue: "Chicago Theatre", date: "2025-08-31" },
-  { artist: "Zeds Dead", venue: "Ramova Theatre", date: "2025-08-31" },
-  { artist: "North Coast Music Festival", venue: "Seatgeek Stadium", date: "2025-08-31" },
-  { artist: "Arc Music Festival", venue: "Union Park", date: "2025-08-31" },
-  { artist: "Streetlight Manifesto", venue: "Salt Shed", date: "2025-08-31" },
-  { artist: "Challenge Mania Live", venue: "City Winery", date: "2025-08-31" },
-  { artist: "Daily Bread", venue: "House Of Blues Chicago", date: "2025-08-31" },
-  { artist: "Oliver", venue: "Beverly Arts Center", date: "2025-08-31" },
-  { artist: "Come From Away", venue: "Paramount Theatre Aurora", date: "2025-08-31" },
-  { artist: "Come From Away", venue: "Paramount Theatre Aurora", date: "2025-08-31" },
-  { artist: "Twihard   A Twilight Musical Parody", venue: "Apollo Theater Chicago", date: "2025-08-31" },
-  { artist: "La Original Banda El Limon", venue: "Park Ravinia", date: "2025-08-31" },
-  { artist: "Demetria Taylor", venue: "Buddy Guys Legends", date: "2025-08-31" },
-  { artist: "New Colony Six", venue: "Charles Arcada Theatre", date: "2025-08-31" },
-  { artist: "Twenty Sided Tavern", venue: "Broadway Playhouse At Water Tower Place", date: "2025-08-31" },
-  { artist: "Catch Me If You Can", venue: "Marriott Theatre Lincolnshire", date: "2025-08-31" },
-  { artist: "Spitalfield", venue: "Beat Kitchen", date: "2025-08-31" },
-  { artist: "Rockin Brew Fest", venue: "Buffalo Silver Creek Event Center At Four Winds", date: "2025-08-31" },
-  { artist: "Kane County Cougars", venue: "Medicine Field", date: "2025-08-31" },
-  { artist: "Twenty Sided Tavern", venue: "Broadway Playhouse At Water Tower Place", date: "2025-08-31" },
-  { artist: "Taste Of Polonia", venue: "Copernicus Center", date: "2025-08-31" },
-  { artist: "System Of A Down", venue: "Soldier Field", date: "2025-09-01" },
-  { artist: "Chicago Cubs", venue: "Field", date: "2025-09-01" },
-  { artist: "Junior H", venue: "Park Credit Union 1 Amphitheatre", date: "2025-09-01" },
-  { artist: "Taste Of Polonia", venue: "Copernicus Center", date: "2025-09-01" },
-  { artist: "Yacht Rock Night", venue: "City Winery", date: "2025-09-01" },
-  { artist: "Kane County Cougars", venue: "Medicine Field", date: "2025-09-01" },
-  { artist: "Kamil Bednarek", venue: "Copernicus Center", date: "2025-09-01" },
-  { artist: "The Second City 65 Anniversary Show", venue: "Second City Chicago", date: "2025-09-01" },
-  { artist: "Gary Southshore Railcats", venue: "Steel Yard", date: "2025-09-01" },
-  { artist: "Chicago Architecture Center River Cruise Aboard Chicagos First Lady", venue: "Chicagos First Lady", date: "2025-09-01" },
-  { artist: "Drunk Shakespeare", venue: "The Lion Theatre", date: "2025-09-01" },
-  { artist: "The Extra Shift Show", venue: "Bookclub", date: "2025-09-01" },
-  { artist: "Chicago Cubs", venue: "Field", date: "2025-09-02" },
-  { artist: "Babymonster", venue: "Allstate Arena", date: "2025-09-02" },
-  { artist: "Molly Nilsson", venue: "Empty Bottle", date: "2025-09-02" },
-  { artist: "Twenty Sided Tavern", venue: "Broadway Playhouse At Water Tower Place", date: "2025-09-02" },
-  { artist: "Lloyd Cole", venue: "City Winery", date: "2025-09-02" },
-  { artist: "The Second City Mainstage 113Th Revue", venue: "Second City Chicago", date: "2025-09-02" },
-  { artist: "This Too Shall Slap", venue: "Second City Chicago", date: "2025-09-02" },
-  { artist: "44   The Unofficial Obama Musical", venue: "Fine Arts Building Chicago", date: "2025-09-02" },
-  { artist: "Hokusai Exhibition", venue: "Ellyn Cleve Carney Museum Of Art", date: "2025-09-02" },
-  { artist: "Drunk Shakespeare", venue: "The Lion Theatre", date: "2025-09-02" },
-  { artist: "Chicago Architecture Center River Cruise Aboard Chicagos First Lady", venue: "Chicagos First Lady", date: "2025-09-02" },
-  { artist: "The Red Clay Strays", venue: "Salt Shed", date: "2025-09-03" },
-  { artist: "Chicago Cubs", venue: "Field", date: "2025-09-03" },
-  { artist: "The Black Keys", venue: "Huntington Bank Pavilion At Northerly Island", date: "2025-09-03" },
-  { artist: "Kofi B", venue: "City Winery", date: "2025-09-03" },
-  { artist: "Chicago Sky", venue: "Arena", date: "2025-09-03" },
-  { artist: "Finn Wolfhard", venue: "Thalia Hall", date: "2025-09-03" },
-  { artist: "Red Hot Chilli Pipers   Tribute", venue: "North Shore Center", date: "2025-09-03" },
-  { artist: "Come From Away", venue: "Paramount Theatre Aurora", date: "2025-09-03" },
-  { artist: "Come From Away", venue: "Paramount Theatre Aurora", date: "2025-09-03" },
-  { artist: "Tsushimamire", venue: "Empty Bottle", date: "2025-09-03" },
-  { artist: "Glitterfox", venue: "Schubas", date: "2025-09-03" },
-  { artist: "Million Dollar Quartet", venue: "Paramount Theatre Aurora", date: "2025-09-03" },
-  { artist: "Caskey", venue: "Subterranean", date: "2025-09-03" },
-  { artist: "Twenty Sided Tavern", venue: "Broadway Playhouse At Water Tower Place", date: "2025-09-03" },
-  { artist: "3L3D3P", venue: "Beat Kitchen", date: "2025-09-03" },
-  { artist: "This Too Shall Slap", venue: "Second City Chicago", date: "2025-09-03" },
-  { artist: "44   The Unofficial Obama Musical", venue: "Fine Arts Building Chicago", date: "2025-09-03" },
-  { artist: "The Second City Mainstage 113Th Revue", venue: "Second City Chicago", date: "2025-09-03" },
-  { artist: "Hokusai Exhibition", venue: "Ellyn Cleve Carney Museum Of Art", date: "2025-09-03" },
-  { artist: "Drunk Shakespeare", venue: "The Lion Theatre", date: "2025-09-03" },
-  { artist: "Chicago Architecture Center River Cruise Aboard Chicagos First Lady", venue: "Chicagos First Lady", date: "2025-09-03" },
-  { artist: "The Red Clay Strays", venue: "Salt Shed", date: "2025-09-04" },
-  { artist: "Kai", venue: "Rosemont Theatre", date: "2025-09-04" },
-  { artist: "K Camp", venue: "Vic Theatre", date: "2025-09-04" },
-  { artist: "Cease And Resist", venue: "Cubby Bear", date: "2025-09-04" },
-  { artist: "The Steeldrivers", venue: "Thalia Hall", date: "2025-09-04" },
-  { artist: "Kip Moore", venue: "Point Bulldog Park", date: "2025-09-04" },
-  { artist: "Come From Away", venue: "Paramount Theatre Aurora", date: "2025-09-04" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-04" },
-  { artist: "Magnolia Boulevard", venue: "Fitzgeralds Berwyn", date: "2025-09-04" },
-  { artist: "Mckinley Dixon", venue: "Schubas", date: "2025-09-04" },
-  { artist: "Aj Lee And Blue Summit", venue: "Old Town School Of Folk", date: "2025-09-04" },
-  { artist: "Bee Gees Gold   A Tribute To The Bee Gees", venue: "Charles Arcada Theatre", date: "2025-09-04" },
-  { artist: "Twenty Sided Tavern", venue: "Broadway Playhouse At Water Tower Place", date: "2025-09-04" },
-  { artist: "Catch Me If You Can", venue: "Marriott Theatre Lincolnshire", date: "2025-09-04" },
-  { artist: "Louden Swain", venue: "Beat Kitchen", date: "2025-09-04" },
-  { artist: "The Sideguys   David Sanborn Tribute", venue: "City Winery", date: "2025-09-04" },
-  { artist: "The Second City Mainstage 113Th Revue", venue: "Second City Chicago", date: "2025-09-04" },
-  { artist: "This Too Shall Slap", venue: "Second City Chicago", date: "2025-09-04" },
-  { artist: "Wait Wait Dont Tell Me", venue: "Studebaker Theater", date: "2025-09-04" },
-  { artist: "Ryan Hamilton", venue: "Chicago Improv", date: "2025-09-04" },
-  { artist: "Alec Flynn", venue: "Zanies Comedy Club Chicago", date: "2025-09-04" },
-  { artist: "Da Werst Guise", venue: "Bookclub", date: "2025-09-04" },
-  { artist: "The Second City Etc 49Th Revue", venue: "Second City Chicago", date: "2025-09-04" },
-  { artist: "Narcotic Wasteland", venue: "Chicago The Wc Social Club", date: "2025-09-04" },
-  { artist: "Hokusai Exhibition", venue: "Ellyn Cleve Carney Museum Of Art", date: "2025-09-04" },
-  { artist: "Dua Lipa", venue: "United Center", date: "2025-09-05" },
-  { artist: "Le Sserafim", venue: "Wintrust Arena", date: "2025-09-05" },
-  { artist: "Wwe   World Wrestling Entertainment", venue: "Arena", date: "2025-09-05" },
-  { artist: "Northwestern Wildcats Football", venue: "Medicine Field At Martin Stadium", date: "2025-09-06" },
-  { artist: "Chris Distefano", venue: "Chicago Theatre", date: "2025-09-05" },
-  { artist: "Chicago Cubs", venue: "Field", date: "2025-09-05" },
-  { artist: "Pup   The Band", venue: "Salt Shed", date: "2025-09-05" },
-  { artist: "Ani Difranco", venue: "Cahn Auditorium", date: "2025-09-05" },
-  { artist: "The Beach Boys", venue: "Genesee Theatre", date: "2025-09-05" },
-  { artist: "Twrp", venue: "Thalia Hall", date: "2025-09-05" },
-  { artist: "Christian French", venue: "Reggies Chicago", date: "2025-09-05" },
-  { artist: "Dystinct", venue: "House Of Blues Chicago", date: "2025-09-05" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-05" },
-  { artist: "Come From Away", venue: "Paramount Theatre Aurora", date: "2025-09-05" },
-  { artist: "Million Dollar Quartet", venue: "Paramount Theatre Aurora", date: "2025-09-05" },
-  { artist: "The Emo Night Tour", venue: "Bottom Lounge", date: "2025-09-05" },
-  { artist: "Kashmir   Led Zeppelin Tribute", venue: "Charles Arcada Theatre", date: "2025-09-05" },
-  { artist: "10Cc", venue: "Park West", date: "2025-09-05" },
-  { artist: "Catch Me If You Can", venue: "Marriott Theatre Lincolnshire", date: "2025-09-05" },
-  { artist: "Nrbq", venue: "Evanston Space", date: "2025-09-05" },
-  { artist: "Twenty Sided Tavern", venue: "Broadway Playhouse At Water Tower Place", date: "2025-09-05" },
-  { artist: "Erthe St James", venue: "City Winery", date: "2025-09-05" },
-  { artist: "Loni Love", venue: "City Winery", date: "2025-09-05" },
-  { artist: "Apex Martin", venue: "Sound Bar", date: "2025-09-05" },
-  { artist: "Sim Gaming Expo", venue: "Renaissance Schaumburg Convention Center", date: "2025-09-05" },
-  { artist: "Dua Lipa", venue: "United Center", date: "2025-09-06" },
-  { artist: "Chicago Cubs", venue: "Field", date: "2025-09-06" },
-  { artist: "D4Vd", venue: "Salt Shed", date: "2025-09-06" },
-  { artist: "Charlie Wilson", venue: "Huntington Bank Pavilion At Northerly Island", date: "2025-09-06" },
-  { artist: "Geoff Tate", venue: "Plaines Des Plaines Theatre", date: "2025-09-06" },
-  { artist: "Kruder And Dorfmeister", venue: "Auditorium Theatre Chicago", date: "2025-09-06" },
-  { artist: "44   The Unofficial Obama Musical", venue: "Fine Arts Building Chicago", date: "2025-09-06" },
-  { artist: "Evanston Folk Festival", venue: "Dawes Park", date: "2025-09-06" },
-  { artist: "Leonid And Friends", venue: "City Blue Chip Casino", date: "2025-09-06" },
-  { artist: "George Porter Jr", venue: "Garcias Chicago", date: "2025-09-06" },
-  { artist: "The Miracle In Mundelein", venue: "Rise Dispensary", date: "2025-09-06" },
-  { artist: "Wanda Sykes", venue: "Hard Rock Casino Northern Indiana", date: "2025-09-06" },
-  { artist: "Lauren Alaina", venue: "The Venue At Horseshoe Casino Hammond", date: "2025-09-06" },
-  { artist: "Twenty Sided Tavern", venue: "Broadway Playhouse At Water Tower Place", date: "2025-09-06" },
-  { artist: "Caroline Rhea", venue: "North Shore Center", date: "2025-09-06" },
-  { artist: "Blue Heaven", venue: "Black Ensemble Theater", date: "2025-09-06" },
-  { artist: "Satin Jackets", venue: "Subterranean", date: "2025-09-06" },
-  { artist: "Chicago Fire", venue: "Stadium", date: "2025-09-06" },
-  { artist: "Nrbq", venue: "Fitzgeralds Berwyn", date: "2025-09-06" },
-  { artist: "Moonhole", venue: "Cubby Bear", date: "2025-09-06" },
-  { artist: "Talking Sopranos", venue: "Athenaeum Center", date: "2025-09-06" },
-  { artist: "Ashland Avenue", venue: "Goodman Theatre", date: "2025-09-06" },
-  { artist: "The 30 Party", venue: "House Of Blues Chicago", date: "2025-09-06" },
-  { artist: "The Taylor Party   Taylor Swift Tribute", venue: "House Of Blues Chicago", date: "2025-09-06" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-06" },
-  { artist: "The Who", venue: "United Center", date: "2025-09-07" },
-  { artist: "Chicago Bears", venue: "Field", date: "2025-08-01" },
-  { artist: "Chicago Cubs", venue: "Field", date: "2025-09-07" },
-  { artist: "Eladio Carrion", venue: "Rosemont Theatre", date: "2025-09-07" },
-  { artist: "Beach Bunny", venue: "Salt Shed", date: "2025-09-07" },
-  { artist: "Doug Benson", venue: "Seatgeek Stadium", date: "2025-09-07" },
-  { artist: "Chicago Stars Fc", venue: "Stadium", date: "2025-09-07" },
-  { artist: "Rosanne Cash", venue: "Cahn Auditorium", date: "2025-09-07" },
-  { artist: "The Miracle In Mundelein", venue: "Rise Dispensary", date: "2025-09-07" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-07" },
-  { artist: "Ashland Avenue", venue: "Goodman Theatre", date: "2025-09-07" },
-  { artist: "Ashland Avenue", venue: "Goodman Theatre", date: "2025-09-07" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-07" },
-  { artist: "Million Dollar Quartet", venue: "Paramount Theatre Aurora", date: "2025-09-07" },
-  { artist: "Bad Planning", venue: "Bottom Lounge", date: "2025-09-07" },
-  { artist: "Catch Me If You Can", venue: "Marriott Theatre Lincolnshire", date: "2025-09-07" },
-  { artist: "Catch Me If You Can", venue: "Marriott Theatre Lincolnshire", date: "2025-09-07" },
-  { artist: "Blanco White", venue: "Subterranean", date: "2025-09-07" },
-  { artist: "Twenty Sided Tavern", venue: "Broadway Playhouse At Water Tower Place", date: "2025-09-07" },
-  { artist: "Twenty Sided Tavern", venue: "Broadway Playhouse At Water Tower Place", date: "2025-09-07" },
-  { artist: "Gettin Grown Podcast", venue: "City Winery", date: "2025-09-07" },
-  { artist: "Sim Gaming Expo", venue: "Renaissance Schaumburg Convention Center", date: "2025-09-07" },
-  { artist: "Bnxn", venue: "Thalia Hall", date: "2025-09-07" },
-  { artist: "Gunhild Carling", venue: "City Winery", date: "2025-09-07" },
-  { artist: "The Second City Mainstage 113Th Revue", venue: "Second City Chicago", date: "2025-09-07" },
-  { artist: "Chicago Bears", venue: "Field", date: "2026-03-03" },
-  { artist: "Clipse", venue: "Salt Shed", date: "2025-09-08" },
-  { artist: "Berlioz", venue: "House Of Blues Chicago", date: "2025-09-08" },
-  { artist: "Premium Tailgate Party", venue: "Tailgate Lot", date: "2025-09-08" },
-  { artist: "Umphreys Mcgee", venue: "Garcias Chicago", date: "2025-09-08" },
-  { artist: "Chicago Bears Official Fan Experience Package", venue: "Field", date: "2025-09-08" },
-  { artist: "Bonnie Prince Billy", venue: "Evanston Space", date: "2025-09-08" },
-  { artist: "Teddys Jams", venue: "City Winery", date: "2025-09-08" },
-  { artist: "The Second City 65 Anniversary Show", venue: "Second City Chicago", date: "2025-09-08" },
-  { artist: "Drunk Shakespeare", venue: "The Lion Theatre", date: "2025-09-08" },
-  { artist: "Cirque Italia   Water Circus", venue: "Northfield Square Mall", date: "2025-09-08" },
-  { artist: "Chicago Architecture Center River Cruise Aboard Chicagos First Lady", venue: "Chicagos First Lady", date: "2025-09-08" },
-  { artist: "Bonnie Raitt", venue: "Chicago Theatre", date: "2025-09-09" },
-  { artist: "Tedeschi Trucks Band", venue: "Huntington Bank Pavilion At Northerly Island", date: "2025-09-09" },
-  { artist: "The Who   Rock Band", venue: "United Center", date: "2025-09-09" },
-  { artist: "Waxahatchee", venue: "Salt Shed", date: "2025-09-09" },
-  { artist: "Supergrass", venue: "Riviera Theatre", date: "2025-09-09" },
-  { artist: "Whose Live Anyway", venue: "Harris Theater", date: "2025-09-09" },
-  { artist: "Chicago White Sox", venue: "Rate Field", date: "2025-09-09" },
-  { artist: "What We Said Live", venue: "Thalia Hall", date: "2025-09-09" },
-  { artist: "Fu Manchu", venue: "The Outset", date: "2025-09-09" },
-  { artist: "Bonnie Prince Billy", venue: "Evanston Space", date: "2025-09-09" },
-  { artist: "Formerly The Fox", venue: "Cubby Bear", date: "2025-09-09" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-09" },
-  { artist: "Torri Griffin", venue: "City Winery", date: "2025-09-09" },
-  { artist: "Twenty Sided Tavern", venue: "Broadway Playhouse At Water Tower Place", date: "2025-09-09" },
-  { artist: "Triples", venue: "Vic Theatre", date: "2025-09-09" },
-  { artist: "44   The Unofficial Obama Musical", venue: "Fine Arts Building Chicago", date: "2025-09-09" },
-  { artist: "This Too Shall Slap", venue: "Second City Chicago", date: "2025-09-09" },
-  { artist: "The Second City Mainstage 113Th Revue", venue: "Second City Chicago", date: "2025-09-09" },
-  { artist: "Chicago Architecture Center River Cruise Aboard Chicagos First Lady", venue: "Chicagos First Lady", date: "2025-09-09" },
-  { artist: "Drunk Shakespeare", venue: "The Lion Theatre", date: "2025-09-09" },
-  { artist: "Hokusai Exhibition", venue: "Ellyn Cleve Carney Museum Of Art", date: "2025-09-09" },
-  { artist: "Wet Leg", venue: "Salt Shed", date: "2025-09-10" },
-  { artist: "Tv On The Radio", venue: "Riviera Theatre", date: "2025-09-10" },
-  { artist: "Ringo Starr And His All Starr Band", venue: "Chicago Theatre", date: "2025-09-10" },
-  { artist: "Chicago White Sox", venue: "Rate Field", date: "2025-09-10" },
-  { artist: "Roger Mcguinn", venue: "North Shore Center", date: "2025-09-10" },
-  { artist: "Doobie Brothers", venue: "Park Credit Union 1 Amphitheatre", date: "2025-09-10" },
-  { artist: "Wisp", venue: "Metro Chicago", date: "2025-09-10" },
-  { artist: "Saliva", venue: "The Vixen", date: "2025-09-10" },
-  { artist: "Ashland Avenue", venue: "Goodman Theatre", date: "2025-09-10" },
-  { artist: "Catch Me If You Can", venue: "Marriott Theatre Lincolnshire", date: "2025-09-10" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-10" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-10" },
-  { artist: "Delvon Lamarr Organ Trio", venue: "Evanston Space", date: "2025-09-10" },
-  { artist: "Delvon Lamarr Organ Trio", venue: "Evanston Space", date: "2025-09-10" },
-  { artist: "Twenty Sided Tavern", venue: "Broadway Playhouse At Water Tower Place", date: "2025-09-10" },
-  { artist: "Molly Tuttle", venue: "Thalia Hall", date: "2025-09-10" },
-  { artist: "Castle Rat", venue: "Reggies Chicago", date: "2025-09-10" },
-    { artist: "Infinite 80S   Tribute", venue: "City Winery", date: "2025-09-10" },
-  { artist: "The Second City Mainstage 113Th Revue", venue: "Second City Chicago", date: "2025-09-10" },
-  { artist: "This Too Shall Slap", venue: "Second City Chicago", date: "2025-09-10" },
-  { artist: "44   The Unofficial Obama Musical", venue: "Fine Arts Building Chicago", date: "2025-09-10" },
-  { artist: "Chicago Architecture Center River Cruise Aboard Chicagos First Lady", venue: "Chicagos First Lady", date: "2025-09-10" },
-  { artist: "Drunk Shakespeare", venue: "The Lion Theatre", date: "2025-09-10" },
-  { artist: "Hokusai Exhibition", venue: "Ellyn Cleve Carney Museum Of Art", date: "2025-09-10" },
-  { artist: "Chicago Sky", venue: "Arena", date: "2025-09-11" },
-  { artist: "The Story So Far", venue: "Salt Shed", date: "2025-09-11" },
-  { artist: "Marcin   Marcin Patrzalek", venue: "Park West", date: "2025-09-11" },
-  { artist: "The 502S", venue: "Riviera Theatre", date: "2025-09-11" },
-  { artist: "Noah Reid", venue: "Vic Theatre", date: "2025-09-11" },
-  { artist: "Chicago White Sox", venue: "Rate Field", date: "2025-09-11" },
-  { artist: "Hazlett", venue: "House Of Blues Chicago", date: "2025-09-11" },
-  { artist: "Tee Grizzley", venue: "Avondale Music Hall", date: "2025-09-11" },
-  { artist: "Catch Me If You Can", venue: "Marriott Theatre Lincolnshire", date: "2025-09-11" },
-  { artist: "Brooks Nielsen", venue: "Metro Chicago", date: "2025-09-11" },
-  { artist: "Night Moves", venue: "Thalia Hall", date: "2025-09-11" },
-  { artist: "Tropa Magica", venue: "Subterranean", date: "2025-09-11" },
-  { artist: "Ashland Avenue", venue: "Goodman Theatre", date: "2025-09-11" },
-  { artist: "Paul Thorn", venue: "Fitzgeralds Berwyn", date: "2025-09-11" },
-  { artist: "Million Dollar Quartet", venue: "Paramount Theatre Aurora", date: "2025-09-11" },
-  { artist: "We Are Scientists", venue: "Empty Bottle", date: "2025-09-11" },
-  { artist: "Age Of Madness", venue: "Bottom Lounge", date: "2025-09-11" },
-  { artist: "Free Fallin   Tom Petty Tribute", venue: "Charles Arcada Theatre", date: "2025-09-11" },
-  { artist: "Nikita Nichelle", venue: "City Winery", date: "2025-09-11" },
-  { artist: "Darius", venue: "Concord Music Hall", date: "2025-09-11" },
-  { artist: "Twenty Sided Tavern", venue: "Broadway Playhouse At Water Tower Place", date: "2025-09-11" },
-  { artist: "Bridget Mcguire", venue: "Zanies Comedy Club Rosemont", date: "2025-09-11" },
-  { artist: "The Woggles", venue: "Reggies Chicago", date: "2025-09-11" },
-  { artist: "The Second City Mainstage 113Th Revue", venue: "Second City Chicago", date: "2025-09-11" },
-  { artist: "This Too Shall Slap", venue: "Second City Chicago", date: "2025-09-11" },
-  { artist: "Chicago Cubs", venue: "Field", date: "2025-09-12" },
-  { artist: "Yungblud", venue: "Riviera Theatre", date: "2025-09-12" },
-  { artist: "Yousuke Yukimatsu", venue: "Ramova Theatre", date: "2025-09-12" },
-  { artist: "Howard Jones", venue: "Plaines Rivers Casino Des Plaines", date: "2025-09-12" },
-  { artist: "Mchenry Music Festival", venue: "Petersen Park", date: "2025-09-12" },
-  { artist: "Haim", venue: "United Center", date: "2025-09-12" },
-  { artist: "Elevation Rhythm", venue: "Vic Theatre", date: "2025-09-12" },
-  { artist: "Eden Munoz", venue: "Rosemont Theatre", date: "2025-09-12" },
-  { artist: "Gabby Barrett", venue: "Valparaiso Central Park Plaza", date: "2025-09-12" },
-  { artist: "Vitamin String Quartet", venue: "North Shore Center", date: "2025-09-12" },
-  { artist: "Jeopardy", venue: "Chicago Theatre", date: "2025-09-12" },
-  { artist: "Monster Jam", venue: "Arena", date: "2025-09-12" },
-  { artist: "Waylon Wyatt", venue: "Joes On Weed Street", date: "2025-09-12" },
-  { artist: "Mirador", venue: "Metro Chicago", date: "2025-09-12" },
-  { artist: "Mariachi Vargas De Tecalitlan", venue: "Auditorium Theatre Chicago", date: "2025-09-12" },
-  { artist: "Slow Crush", venue: "Reggies Chicago", date: "2025-09-12" },
-  { artist: "Bob   Bobby Ray Simmons Jr", venue: "House Of Blues Chicago", date: "2025-09-12" },
-  { artist: "Sidepiece", venue: "Recess", date: "2025-09-12" },
-  { artist: "Deon Cole", venue: "Hard Rock Casino Northern Indiana", date: "2025-09-12" },
-  { artist: "Ixnay   Offspring Tribute Band", venue: "Chicago The Wc Social Club", date: "2025-09-12" },
-  { artist: "Paul Thorn", venue: "Fitzgeralds Berwyn", date: "2025-09-12" },
-  { artist: "Million Dollar Quartet", venue: "Paramount Theatre Aurora", date: "2025-09-12" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-12" },
-  { artist: "Ashland Avenue", venue: "Goodman Theatre", date: "2025-09-12" },
-  { artist: "Nature Tv", venue: "Schubas", date: "2025-09-12" },
-  { artist: "Jason Aldean", venue: "Park Credit Union 1 Amphitheatre", date: "2025-09-13" },
-  { artist: "Northwestern Wildcats Football", venue: "Medicine Field At Martin Stadium", date: "2025-06-03" },
-  { artist: "Chicago Cubs", venue: "Field", date: "2025-09-13" },
-  { artist: "Monster Jam", venue: "Arena", date: "2025-09-13" },
-  { artist: "Mojo Brookzz   Dyon Brooks", venue: "Chicago Theatre", date: "2025-09-13" },
-  { artist: "Mt Joy", venue: "United Center", date: "2025-09-13" },
-  { artist: "Mchenry Music Festival", venue: "Petersen Park", date: "2025-09-13" },
-  { artist: "Staind", venue: "Hard Rock Casino Northern Indiana", date: "2025-09-13" },
-  { artist: "Luann De Lesseps", venue: "Vic Theatre", date: "2025-09-13" },
-  { artist: "Cmat", venue: "Park West", date: "2025-09-13" },
-  { artist: "Chicago Fire", venue: "Field", date: "2025-09-13" },
-  { artist: "Little Brother", venue: "Metro Chicago", date: "2025-09-13" },
-  { artist: "Amira Elfeky", venue: "Cobra Lounge", date: "2025-09-13" },
-  { artist: "Monster Jam", venue: "Arena", date: "2025-09-13" },
-  { artist: "Chicago Philharmonic Orchestra", venue: "Auditorium Theatre Chicago", date: "2025-09-13" },
-  { artist: "Rememories", venue: "Cubby Bear", date: "2025-09-13" },
-  { artist: "Frankie Cosmos", venue: "Thalia Hall", date: "2025-09-13" },
-  { artist: "Head East", venue: "Plaines Des Plaines Theatre", date: "2025-09-13" },
-  { artist: "Ray Wylie Hubbard", venue: "Fitzgeralds Berwyn", date: "2025-09-13" },
-  { artist: "Paul Cebar Tomorrow Sound", venue: "Fitzgeralds Berwyn", date: "2025-09-13" },
-  { artist: "Ashland Avenue", venue: "Goodman Theatre", date: "2025-09-13" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-13" },
-  { artist: "Cozy Worldwide", venue: "House Of Blues Chicago", date: "2025-08-22" },
-  { artist: "Ashland Avenue", venue: "Goodman Theatre", date: "2025-09-13" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-13" },
-  { artist: "Chicago Cubs", venue: "Field", date: "2025-09-14" },
-  { artist: "Conan Gray", venue: "Park Credit Union 1 Amphitheatre", date: "2025-09-14" },
-  { artist: "Mudvayne", venue: "Byline Bank Aragon Ballroom", date: "2025-09-14" },
-  { artist: "Monster Jam", venue: "Arena", date: "2025-09-14" },
-  { artist: "Alan Parsons Live Project", venue: "Genesee Theatre", date: "2025-09-14" },
-  { artist: "The Boyz", venue: "Chicago Theatre", date: "2025-09-14" },
-  { artist: "Mchenry Music Festival", venue: "Petersen Park", date: "2025-09-11" },
-  { artist: "Geordie Greep", venue: "Metro Chicago", date: "2025-09-14" },
-  { artist: "Monster Jam", venue: "Arena", date: "2025-09-14" },
-  { artist: "Chicago Stars Fc", venue: "Stadium", date: "2025-09-14" },
-  { artist: "Hamza Namira", venue: "Thalia Hall", date: "2025-09-14" },
-  { artist: "The Screwtape Letters", venue: "Athenaeum Center", date: "2025-09-14" },
-  { artist: "Vola", venue: "Lincoln Hall", date: "2025-09-14" },
-  { artist: "Odisseo", venue: "Avondale Music Hall", date: "2025-09-14" },
-  { artist: "Ashland Avenue", venue: "Goodman Theatre", date: "2025-09-14" },
-  { artist: "Million Dollar Quartet", venue: "Paramount Theatre Aurora", date: "2025-09-14" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-14" },
-  { artist: "Louie Thesinger", venue: "House Of Blues Chicago", date: "2025-09-14" },
-  { artist: "Illinois Rock And Roll Museum Hall Of Fame Induction Ceremony", venue: "Rialto Square Theatre", date: "2025-09-14" },
-  { artist: "Million Dollar Quartet", venue: "Paramount Theatre Aurora", date: "2025-09-14" },
-  { artist: "Ivri", venue: "Schubas", date: "2025-09-14" },
-  { artist: "Catch Me If You Can", venue: "Marriott Theatre Lincolnshire", date: "2025-09-14" },
-  { artist: "Kid Congo Powers", venue: "Beat Kitchen", date: "2025-09-14" },
-  { artist: "Nick Pontarelli Band", venue: "Charles Arcada Theatre", date: "2025-09-14" },
-  { artist: "Catch Me If You Can", venue: "Marriott Theatre Lincolnshire", date: "2025-09-14" },
-  { artist: "Lady Gaga", venue: "United Center", date: "2025-09-15" },
-  { artist: "Pixies", venue: "Salt Shed", date: "2025-09-15" },
-  { artist: "Chicago White Sox", venue: "Rate Field", date: "2025-09-15" },
-  { artist: "Se So Neon", venue: "Metro Chicago", date: "2025-09-15" },
-  { artist: "Yeule", venue: "The Outset", date: "2025-09-15" },
-  { artist: "X Ambassadors", venue: "Vic Theatre", date: "2025-09-15" },
-  { artist: "Daisy The Great", venue: "Subterranean", date: "2025-09-15" },
-  { artist: "Funkadesi", venue: "City Winery", date: "2025-09-15" },
-  { artist: "The Second City 65 Anniversary Show", venue: "Second City Chicago", date: "2025-09-15" },
-  { artist: "Chicago Architecture Center River Cruise Aboard Chicagos First Lady", venue: "Chicagos First Lady", date: "2025-09-15" },
-  { artist: "Drunk Shakespeare", venue: "The Lion Theatre", date: "2025-09-15" },
-  { artist: "Plantasia", venue: "Garfield Park Conservatory", date: "2025-09-15" },
-  { artist: "Jackson T Stephens Cup", venue: "Shoreacres", date: "2025-09-15" },
-  { artist: "Jackson T Stephens Cup", venue: "Shoreacres", date: "2025-09-15" },
-  { artist: "Shoreline Mafia", venue: "Riviera Theatre", date: "2025-09-16" },
-  { artist: "Chicago White Sox", venue: "Rate Field", date: "2025-09-16" },
-  { artist: "The Waterboys", venue: "Thalia Hall", date: "2025-09-16" },
-  { artist: "The Hellp", venue: "Vic Theatre", date: "2025-09-16" },
-  { artist: "Amble", venue: "Bottom Lounge", date: "2025-09-16" },
-  { artist: "Lea Salonga", venue: "Athenaeum Center", date: "2025-09-16" },
-  { artist: "Billy Bob Thornton", venue: "Joes Live Rosemont", date: "2025-09-16" },
-  { artist: "Kula Shaker", venue: "Metro Chicago", date: "2025-09-16" },
-  { artist: "Hunx And His Punx", venue: "Empty Bottle", date: "2025-09-16" },
-  { artist: "Fruition", venue: "Evanston Space", date: "2025-09-16" },
-  { artist: "Jazz Emu", venue: "Lincoln Hall", date: "2025-09-16" },
-  { artist: "Nihilistic Easyrider", venue: "Subterranean", date: "2025-09-16" },
-  { artist: "Twenty Sided Tavern", venue: "Broadway Playhouse At Water Tower Place", date: "2025-09-16" },
-  { artist: "Sandy Redd", venue: "City Winery", date: "2025-09-16" },
-  { artist: "Duckwrth", venue: "The Promontory", date: "2025-09-16" },
-  { artist: "44   The Unofficial Obama Musical", venue: "Fine Arts Building Chicago", date: "2025-09-16" },
-  { artist: "This Too Shall Slap", venue: "Second City Chicago", date: "2025-09-16" },
-  { artist: "The Second City Mainstage 113Th Revue", venue: "Second City Chicago", date: "2025-09-16" },
-  { artist: "Liliac", venue: "Dundee Rochaus", date: "2025-09-16" },
-  { artist: "Hokusai Exhibition", venue: "Ellyn Cleve Carney Museum Of Art", date: "2025-09-16" },
-  { artist: "Drunk Shakespeare", venue: "The Lion Theatre", date: "2025-09-16" },
-  { artist: "Jackson T Stephens Cup", venue: "Shoreacres", date: "2025-09-16" },
-  { artist: "Kelsey Waldon", venue: "Garcias Chicago", date: "2025-09-16" },
-  { artist: "Chicago Architecture Center River Cruise Aboard Chicagos First Lady", venue: "Chicagos First Lady", date: "2025-09-16" },
-  { artist: "Micro Wrestling Federation", venue: "Vegas Saloon", date: "2025-09-16" },
-  { artist: "Lady Gaga", venue: "United Center", date: "2025-09-17" },
-  { artist: "Alex G   Alexander Giannascoli", venue: "Salt Shed", date: "2025-09-17" },
-  { artist: "Spacey Jane", venue: "Lake City The Complex", date: "2025-09-17" },
-  { artist: "Chicago White Sox", venue: "Rate Field", date: "2025-09-17" },
-  { artist: "Lea Salonga", venue: "Athenaeum Center", date: "2025-09-17" },
-  { artist: "Steven Wilson", venue: "Auditorium Theatre Chicago", date: "2025-09-17" },
-  { artist: "Foxwarren", venue: "Thalia Hall", date: "2025-09-17" },
-  { artist: "Dorothy", venue: "House Of Blues Chicago", date: "2025-09-17" },
-  { artist: "The Damned", venue: "Vic Theatre", date: "2025-09-17" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-17" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-17" },
-  { artist: "Peach Prc", venue: "Bottom Lounge", date: "2025-09-17" },
-  { artist: "Million Dollar Quartet", venue: "Paramount Theatre Aurora", date: "2025-09-17" },
-  { artist: "Grease", venue: "Heights Metropolis Performing Arts Centre", date: "2025-09-17" },
-  { artist: "Raiders Of The Lost Ark", venue: "Woodstock Opera House", date: "2025-09-17" },
-  { artist: "Firetalkrecs", venue: "Empty Bottle", date: "2025-09-17" },
-  { artist: "Catch Me If You Can", venue: "Marriott Theatre Lincolnshire", date: "2025-09-17" },
-  { artist: "Catch Me If You Can", venue: "Marriott Theatre Lincolnshire", date: "2025-09-17" },
-  { artist: "Andy And Shani", venue: "Copernicus Center", date: "2025-09-17" },
-  { artist: "Shahar", venue: "City Winery", date: "2025-09-17" },
-  { artist: "Twenty Sided Tavern", venue: "Broadway Playhouse At Water Tower Place", date: "2025-09-17" },
-  { artist: "The Second City Mainstage 113Th Revue", venue: "Second City Chicago", date: "2025-09-17" },
-  { artist: "This Too Shall Slap", venue: "Second City Chicago", date: "2025-09-17" },
-  { artist: "44   The Unofficial Obama Musical", venue: "Fine Arts Building Chicago", date: "2025-09-17" },
-  { artist: "Baths", venue: "Sleeping Village", date: "2025-09-17" },
-  { artist: "Lady Gaga", venue: "United Center", date: "2025-09-18" },
-  { artist: "Tom Odell", venue: "Vic Theatre", date: "2025-09-23" },
-  { artist: "Viagra Boys", venue: "Salt Shed", date: "2025-09-18" },
-  { artist: "Susto", venue: "Garcias Chicago", date: "2025-09-18" },
-  { artist: "Spacey Jane", venue: "Metro Chicago", date: "2025-09-18" },
-  { artist: "Nxworries", venue: "Riviera Theatre", date: "2025-09-18" },
-  { artist: "Smokedope2016", venue: "Avondale Music Hall", date: "2025-09-18" },
-  { artist: "Tophouse", venue: "Park West", date: "2025-09-18" },
-  { artist: "Catch Me If You Can", venue: "Marriott Theatre Lincolnshire", date: "2025-09-18" },
-  { artist: "Ashland Avenue", venue: "Goodman Theatre", date: "2025-09-18" },
-  { artist: "The Cactus Blossoms", venue: "Fitzgeralds Berwyn", date: "2025-09-18" },
-  { artist: "Joffrey Ballet", venue: "Lyric Opera House", date: "2025-09-18" },
-  { artist: "Ashland Avenue", venue: "Goodman Theatre", date: "2025-09-18" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-18" },
-  { artist: "Chicago Symphony Orchestra", venue: "Chicago Symphony Center", date: "2025-09-18" },
-  { artist: "Guerilla Toss", venue: "Empty Bottle", date: "2025-09-18" },
-  { artist: "Knuckle Puck", venue: "Bottom Lounge", date: "2025-09-18" },
-  { artist: "Grease", venue: "Heights Metropolis Performing Arts Centre", date: "2025-09-18" },
-  { artist: "Harf", venue: "Subterranean", date: "2025-09-18" },
-  { artist: "Yaya Bey", venue: "Lincoln Hall", date: "2025-09-18" },
-  { artist: "Walter Trout", venue: "Evanston Space", date: "2025-09-18" },
-  { artist: "Mac Sabbath", venue: "Reggies Chicago", date: "2025-09-18" },
-  { artist: "Twenty Sided Tavern", venue: "Broadway Playhouse At Water Tower Place", date: "2025-09-18" },
-  { artist: "Walter Trout", venue: "Evanston Space", date: "2025-09-18" },
-  { artist: "The Baseball Project   Band", venue: "Thalia Hall", date: "2025-09-18" },
-  { artist: "Lorde", venue: "United Center", date: "2025-09-19" },
-  { artist: "Luke Bryan", venue: "Grove Berning Family Farms", date: "2025-08-19" },
-  { artist: "Riot Fest", venue: "Douglass Park", date: "2025-09-19" },
-  { artist: "Riot Fest", venue: "Douglass Park", date: "2025-09-19" },
-  { artist: "Big Wild", venue: "Salt Shed", date: "2025-09-19" },
-  { artist: "Chris Stussy", venue: "Radius Chicago", date: "2025-09-19" },
-  { artist: "Che", venue: "Avondale Music Hall", date: "2025-09-19" },
-  { artist: "Quinn Xcii", venue: "Huntington Bank Pavilion At Northerly Island", date: "2025-09-19" },
-  { artist: "Chicago White Sox", venue: "Rate Field", date: "2025-09-19" },
-  { artist: "Loverboy", venue: "Charles Arcada Theatre", date: "2025-09-19" },
-  { artist: "The Front Bottoms", venue: "Bottom Lounge", date: "2025-09-19" },
-  { artist: "Leonid And Friends", venue: "North Shore Center", date: "2025-09-19" },
-  { artist: "Christone Kingfish Ingram", venue: "Park West", date: "2025-09-19" },
-  { artist: "Steven Curtis Chapman", venue: "Lake Willow Creek Community Church", date: "2025-09-19" },
-  { artist: "Hokus Pokus Live", venue: "Riviera Theatre", date: "2025-09-19" },
-  { artist: "Sextile", venue: "The Outset", date: "2025-09-19" },
-  { artist: "Blessthefall", venue: "House Of Blues Chicago", date: "2025-09-19" },
-  { artist: "George Janko", venue: "Athenaeum Center", date: "2025-09-19" },
-  { artist: "Joffrey Ballet", venue: "Lyric Opera House", date: "2025-09-19" },
-  { artist: "Uncle Lucius", venue: "Fitzgeralds Berwyn", date: "2025-09-19" },
-  { artist: "Ashland Avenue", venue: "Goodman Theatre", date: "2025-09-19" },
-  { artist: "Chicago Symphony Orchestra", venue: "Chicago Symphony Center", date: "2025-09-19" },
-  { artist: "Million Dollar Quartet", venue: "Paramount Theatre Aurora", date: "2025-09-19" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-19" },
-  { artist: "Walk Off The Earth", venue: "Genesee Theatre", date: "2025-09-19" },
-  { artist: "Ethel Cain", venue: "Salt Shed", date: "2025-09-20" },
-  { artist: "Ramon Ayala", venue: "Allstate Arena", date: "2025-09-20" },
-  { artist: "Goose", venue: "Huntington Bank Pavilion At Northerly Island", date: "2025-09-20" },
-  { artist: "The Academy Is", venue: "Concord Music Hall", date: "2025-09-20" },
-  { artist: "Alkaline Trio", venue: "Metro Chicago", date: "2025-09-20" },
-  { artist: "Chicago White Sox", venue: "Rate Field", date: "2025-09-20" },
-  { artist: "Wardruna", venue: "Auditorium Theatre Chicago", date: "2025-09-20" },
-  { artist: "Riot Fest", venue: "Douglass Park", date: "2025-09-20" },
-  { artist: "Lee Brice", venue: "Rosemont Theatre", date: "2025-09-20" },
-  { artist: "Tacos And Tequila Festival", venue: "Northwestern Medicine Field", date: "2025-09-20" },
-  { artist: "Atif Aslam", venue: "Arie Crown Theater", date: "2025-09-20" },
-  { artist: "Leonid And Friends", venue: "Charles Arcada Theatre", date: "2025-09-20" },
-  { artist: "Joffrey Ballet", venue: "Lyric Opera House", date: "2025-09-20" },
-  { artist: "Riot Fest", venue: "Douglass Park", date: "2025-09-20" },
-  { artist: "Esteriore Brothers", venue: "Copernicus Center", date: "2025-09-20" },
-  { artist: "Arnez J", venue: "Chicago Improv", date: "2025-09-20" },
-  { artist: "Jessica Simpson", venue: "Genesee Theatre", date: "2025-09-20" },
-  { artist: "Gary Gulman", venue: "Athenaeum Center", date: "2025-09-20" },
-  { artist: "Dial M For Murder", venue: "Terrace Drury Lane Theatre Oakbrook Terrace", date: "2025-09-20" },
-  { artist: "Dial M For Murder", venue: "Terrace Drury Lane Theatre Oakbrook Terrace", date: "2025-09-20" },
-  { artist: "Kavita Krishnamurthy", venue: "Hard Rock Casino Northern Indiana", date: "2025-09-20" },
-  { artist: "Grease", venue: "Heights Metropolis Performing Arts Centre", date: "2025-09-20" },
-  { artist: "Wiz Khalifa", venue: "Amphitheater At Founders Square", date: "2025-09-20" },
-  { artist: "Badshah", venue: "Estates Now Arena", date: "2025-09-20" },
-  { artist: "Joffrey Ballet", venue: "Lyric Opera House", date: "2025-09-20" },
-  { artist: "Chicago Bears", venue: "Field", date: "2026-03-04" },
-  { artist: "Txt   Tomorrow X Together", venue: "Allstate Arena", date: "2025-09-21" },
-  { artist: "Riot Fest", venue: "Douglass Park", date: "2025-09-21" },
-  { artist: "Prof", venue: "Vic Theatre", date: "2025-09-21" },
-  { artist: "Chicago White Sox", venue: "Rate Field", date: "2025-09-21" },
-  { artist: "Chicago Bears Official Fan Experience Package", venue: "Field", date: "2025-09-21" },
-  { artist: "Hoda Kotb", venue: "Athenaeum Center", date: "2025-09-21" },
-  { artist: "Premium Tailgate Party", venue: "Tailgate Lot", date: "2025-09-21" },
-  { artist: "Dial M For Murder", venue: "Terrace Drury Lane Theatre Oakbrook Terrace", date: "2025-09-21" },
-  { artist: "Beherit", venue: "Dundee Rochaus", date: "2025-09-21" },
-  { artist: "Los Amigos Invisibles", venue: "The Outset", date: "2025-09-21" },
-  { artist: "Joffrey Ballet", venue: "Lyric Opera House", date: "2025-09-21" },
-  { artist: "Ashland Avenue", venue: "Goodman Theatre", date: "2025-09-21" },
-  { artist: "Les Greene And The Swayzees", venue: "Fitzgeralds Berwyn", date: "2025-09-21" },
-  { artist: "Les Greene And The Swayzees", venue: "Fitzgeralds Berwyn", date: "2025-09-21" },
-  { artist: "Marky Ramone", venue: "Metro Chicago", date: "2025-09-21" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-21" },
-  { artist: "Svyatoslav Vakarchuks", venue: "North Shore Center", date: "2025-09-21" },
-  { artist: "Grease", venue: "Heights Metropolis Performing Arts Centre", date: "2025-09-21" },
-  { artist: "Million Dollar Quartet", venue: "Paramount Theatre Aurora", date: "2025-09-21" },
-  { artist: "Andrey Makarevich", venue: "North Shore Center", date: "2025-09-21" },
-  { artist: "Debby Boone", venue: "Charles Arcada Theatre", date: "2025-09-21" },
-  { artist: "Country Royalty", venue: "Charles Arcada Theatre", date: "2025-09-21" },
-  { artist: "Country Royalty", venue: "Charles Arcada Theatre", date: "2025-09-21" },
-  { artist: "Didjits", venue: "Empty Bottle", date: "2025-09-21" },
-  { artist: "Kali Uchis", venue: "United Center", date: "2025-09-22" },
-  { artist: "Polo And Pan", venue: "Salt Shed", date: "2025-09-22" },
-  { artist: "Txt   Tomorrow X Together", venue: "Allstate Arena", date: "2025-09-22" },
-  { artist: "Nourished By Time", venue: "Lincoln Hall", date: "2025-09-22" },
-  { artist: "Brian Jonestown Massacre", venue: "Metro Chicago", date: "2025-09-22" },
-  { artist: "The Seven Wonders   Tribute To Fleetwood Mac", venue: "City Winery", date: "2025-09-22" },
-  { artist: "The Second City 65 Anniversary Show", venue: "Second City Chicago", date: "2025-09-22" },
-  { artist: "Drunk Shakespeare", venue: "The Lion Theatre", date: "2025-09-22" },
-  { artist: "Chicago Architecture Center River Cruise Aboard Chicagos First Lady", venue: "Chicagos First Lady", date: "2025-09-22" },
-  { artist: "Kali Uchis", venue: "United Center", date: "2025-09-23" },
-  { artist: "Chicago Cubs", venue: "Field", date: "2025-09-23" },
-  { artist: "Deltron 3030", venue: "House Of Blues Chicago", date: "2025-09-23" },
-  { artist: "Bandalos Chinos", venue: "Thalia Hall", date: "2025-09-23" },
-  { artist: "Emotional Oranges", venue: "Riviera Theatre", date: "2025-09-23" },
-  { artist: "James Marriott", venue: "Bottom Lounge", date: "2025-09-23" },
-  { artist: "Isabella Lovestory", venue: "Subterranean", date: "2025-09-23" },
-  { artist: "Issa Rae", venue: "Chicago Theatre", date: "2025-09-23" },
-  { artist: "Ashland Avenue", venue: "Goodman Theatre", date: "2025-09-23" },
-  { artist: "The Super Carlin Brothers", venue: "City Winery", date: "2025-09-23" },
-  { artist: "Twenty Sided Tavern", venue: "Broadway Playhouse At Water Tower Place", date: "2025-09-23" },
-  { artist: "Radio Free Alice", venue: "Schubas", date: "2025-09-23" },
-  { artist: "The Second City Mainstage 113Th Revue", venue: "Second City Chicago", date: "2025-09-23" },
-  { artist: "This Too Shall Slap", venue: "Second City Chicago", date: "2025-09-23" },
-  { artist: "He Is Legend", venue: "The Forge Joliet", date: "2025-09-23" },
-  { artist: "Rome Sweet Rome", venue: "Chicago Shakespeare Theatre", date: "2025-09-23" },
-  { artist: "Chicago Architecture Center River Cruise Aboard Chicagos First Lady", venue: "Chicagos First Lady", date: "2025-09-23" },
-  { artist: "Drunk Shakespeare", venue: "The Lion Theatre", date: "2025-09-23" },
-  { artist: "Nba Youngboy", venue: "United Center", date: "2025-09-24" },
-  { artist: "Twenty One Pilots", venue: "Park Credit Union 1 Amphitheatre", date: "2025-09-24" },
-  { artist: "Chicago Cubs", venue: "Field", date: "2025-09-24" },
-  { artist: "Se Regalan Dudas Podcast", venue: "House Of Blues Chicago", date: "2025-09-24" },
-  { artist: "Ethan Regan", venue: "Lincoln Hall", date: "2025-09-24" },
-  { artist: "Gillian Welch", venue: "Auditorium Theatre Chicago", date: "2025-09-24" },
-  { artist: "Ashland Avenue", venue: "Goodman Theatre", date: "2025-09-24" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-24" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-24" },
-  { artist: "Barstool Sports", venue: "Joes On Weed", date: "2025-09-24" },
-  { artist: "The Dreggs", venue: "Schubas", date: "2025-09-24" },
-  { artist: "Northwestern Wildcats Womens Volleyball", venue: "Ryan Arena", date: "2025-09-24" },
-  { artist: "God Save The Queen   Queen Tribute", venue: "Charles Arcada Theatre", date: "2025-09-24" },
-  { artist: "Vision Video", venue: "Bottom Lounge", date: "2025-09-24" },
-  { artist: "Bass Drum Of Death", venue: "Beat Kitchen", date: "2025-09-24" },
-  { artist: "Catch Me If You Can", venue: "Marriott Theatre Lincolnshire", date: "2025-09-24" },
-  { artist: "Catch Me If You Can", venue: "Marriott Theatre Lincolnshire", date: "2025-09-24" },
-  { artist: "Spanish Love Songs", venue: "Subterranean", date: "2025-09-24" },
-  { artist: "Palmyra", venue: "Evanston Space", date: "2025-09-24" },
-  { artist: "Twenty Sided Tavern", venue: "Broadway Playhouse At Water Tower Place", date: "2025-09-24" },
-  { artist: "Taco", venue: "City Winery", date: "2025-09-24" },
-  { artist: "This Too Shall Slap", venue: "Second City Chicago", date: "2025-09-24" },
-  { artist: "The Second City Mainstage 113Th Revue", venue: "Second City Chicago", date: "2025-09-24" },
-  { artist: "Nation Of Language", venue: "Thalia Hall", date: "2025-09-24" },
-  { artist: "Ava The Secret Conversations", venue: "Fine Arts Building Chicago", date: "2025-09-24" },
-  { artist: "Keith Urban", venue: "United Center", date: "2025-09-25" },
-  { artist: "Chicago Cubs", venue: "Field", date: "2025-09-25" },
-  { artist: "Louis Ck", venue: "Chicago Theatre", date: "2025-09-25" },
-  { artist: "Deltron 3030", venue: "House Of Blues Chicago", date: "2025-09-25" },
-  { artist: "Sam Fender", venue: "Byline Bank Aragon Ballroom", date: "2025-09-25" },
-  { artist: "Renee Rapp", venue: "Allstate Arena", date: "2025-09-25" },
-  { artist: "Ken Burns", venue: "Auditorium Theatre Chicago", date: "2025-09-25" },
-  { artist: "Joffrey Ballet", venue: "Lyric Opera House", date: "2025-09-25" },
-  { artist: "Jefferson Starship", venue: "Charles Arcada Theatre", date: "2025-09-25" },
-  { artist: "Panda Bear", venue: "Thalia Hall", date: "2025-09-25" },
-  { artist: "Big Jay Oakerson", venue: "Chicago Improv", date: "2025-09-25" },
-  { artist: "Wait Wait Dont Tell Me", venue: "Studebaker Theater", date: "2025-09-25" },
-  { artist: "The Last Revel", venue: "Garcias Chicago", date: "2025-09-25" },
-  { artist: "Kashmir   Led Zeppelin Tribute", venue: "Plaines Des Plaines Theatre", date: "2025-09-25" },
-  { artist: "Ashland Avenue", venue: "Goodman Theatre", date: "2025-09-25" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-25" },
-  { artist: "Anamanaguchi", venue: "Metro Chicago", date: "2025-09-25" },
-  { artist: "Ashland Avenue", venue: "Goodman Theatre", date: "2025-09-25" },
-  { artist: "Million Dollar Quartet", venue: "Paramount Theatre Aurora", date: "2025-09-25" },
-  { artist: "Chicago Symphony Orchestra", venue: "Chicago Symphony Center", date: "2025-09-25" },
-  { artist: "Divorce", venue: "Schubas", date: "2025-09-25" },
-  { artist: "Grease", venue: "Heights Metropolis Performing Arts Centre", date: "2025-09-25" },
-  { artist: "Hunter Hayes", venue: "Genesee Theatre", date: "2025-09-25" },
-  { artist: "The Wilder Blue", venue: "Joes On Weed Street", date: "2025-09-25" },
-  { artist: "Coco Montoya", venue: "Charles Arcada Theatre", date: "2025-09-25" },
-  { artist: "Chicago Cubs", venue: "Field", date: "2024-09-26" },
-  { artist: "Mana", venue: "United Center", date: "2025-09-26" },
-  { artist: "The World Of Hans Zimmer", venue: "Allstate Arena", date: "2025-09-26" },
-  { artist: "Wolf Alice", venue: "Vic Theatre", date: "2025-09-26" },
-  { artist: "Louis Ck", venue: "Chicago Theatre", date: "2025-09-26" },
-  { artist: "Turnstile", venue: "Huntington Bank Pavilion At Northerly Island", date: "2025-09-26" },
-  { artist: "Ron White", venue: "Hard Rock Casino Northern Indiana", date: "2025-09-26" },
-  { artist: "Carl Cox", venue: "Navy Pier", date: "2025-09-26" },
-  { artist: "Michael Schenker", venue: "Plaines Des Plaines Theatre", date: "2025-09-26" },
-  { artist: "Yolanda Del Rio", venue: "Copernicus Center", date: "2025-09-26" },
-  { artist: "Mo Lowda And The Humble", venue: "Park West", date: "2025-09-26" },
-  { artist: "Tchami", venue: "Radius Chicago", date: "2025-09-26" },
-  { artist: "Cartel", venue: "House Of Blues Chicago", date: "2025-09-26" },
-  { artist: "Cochise", venue: "Avondale Music Hall", date: "2025-09-26" },
-  { artist: "Symphony X", venue: "The Forge Joliet", date: "2025-09-26" },
-  { artist: "Sports   The Band", venue: "Beat Kitchen", date: "2025-09-26" },
-  { artist: "Normal Gossip", venue: "Riviera Theatre", date: "2025-09-26" },
-  { artist: "Cold Waves", venue: "Metro Chicago", date: "2025-09-26" },
-  { artist: "Blake Whiten", venue: "Carols Pub", date: "2025-09-26" },
-  { artist: "Joffrey Ballet", venue: "Lyric Opera House", date: "2025-09-26" },
-  { artist: "Ronnie Baker Brooks", venue: "Fitzgeralds Berwyn", date: "2025-09-26" },
-  { artist: "Martin Sexton", venue: "North Shore Center", date: "2025-09-26" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-26" },
-  { artist: "Ashland Avenue", venue: "Goodman Theatre", date: "2025-09-26" },
-  { artist: "Million Dollar Quartet", venue: "Paramount Theatre Aurora", date: "2025-09-26" },
-  { artist: "Dial M For Murder", venue: "Terrace Drury Lane Theatre Oakbrook Terrace", date: "2025-09-28" },
-  { artist: "Dial M For Murder", venue: "Terrace Drury Lane Theatre Oakbrook Terrace", date: "2025-09-28" },
-  { artist: "Catch Me If You Can", venue: "Marriott Theatre Lincolnshire", date: "2025-09-28" },
-  { artist: "Demxntia", venue: "Beat Kitchen", date: "2025-09-28" },
-  { artist: "Hand Habits", venue: "Empty Bottle", date: "2025-09-28" },
-  { artist: "Catch Me If You Can", venue: "Marriott Theatre Lincolnshire", date: "2025-09-28" },
-  { artist: "Chicago Cubs", venue: "Field", date: "2024-09-27" },
-  { artist: "Mana", venue: "United Center", date: "2025-09-27" },
-  { artist: "Papa Roach", venue: "Park Credit Union 1 Amphitheatre", date: "2025-09-27" },
-  { artist: "Holy Priest", venue: "Ramova Theatre", date: "2025-09-27" },
-  { artist: "Northwestern Wildcats Football", venue: "Medicine Field At Martin Stadium", date: "2025-06-05" },
-  { artist: "Louis Ck", venue: "Chicago Theatre", date: "2025-09-27" },
-  { artist: "Morrissey", venue: "Byline Bank Aragon Ballroom", date: "2025-09-27" },
-  { artist: "Elo   Electric Light Orchestra", venue: "Plaines Des Plaines Theatre", date: "2025-09-27" },
-  { artist: "Rupauls Drag Race", venue: "Rosemont Theatre", date: "2025-09-27" },
-  { artist: "Sg Lewis", venue: "Radius Chicago", date: "2025-09-27" },
-  { artist: "Bruce Dickinson", venue: "Riviera Theatre", date: "2025-09-27" },
-  { artist: "Michael Schenker", venue: "Charles Arcada Theatre", date: "2025-09-27" },
-  { artist: "Lamb Of God", venue: "The Venue At Horseshoe Casino Hammond", date: "2025-09-27" },
-  { artist: "Fleshwater", venue: "Thalia Hall", date: "2025-09-27" },
-  { artist: "Godspeed You Black Emperor", venue: "Bohemian National Cemetery", date: "2025-09-27" },
-  { artist: "Chicago Fire", venue: "Field", date: "2025-09-27" },
-  { artist: "Cary Elwes", venue: "Auditorium Theatre Chicago", date: "2025-09-27" },
-  { artist: "Andy And Shani", venue: "Copernicus Center", date: "2025-09-27" },
-  { artist: "The Mountain Goats", venue: "Salt Shed", date: "2025-09-27" },
-  { artist: "Lil Tracy", venue: "House Of Blues Chicago", date: "2025-09-27" },
-  { artist: "Kota The Friend", venue: "Patio Theater", date: "2025-09-27" },
-  { artist: "Big Jay Oakerson", venue: "Chicago Improv", date: "2025-09-27" },
-  { artist: "Oracle Sisters", venue: "Lincoln Hall", date: "2025-09-27" },
-  { artist: "Joffrey Ballet", venue: "Lyric Opera House", date: "2025-09-27" },
-  { artist: "Joffrey Ballet", venue: "Lyric Opera House", date: "2025-09-27" },
-  { artist: "Sleep Token", venue: "Allstate Arena", date: "2025-09-28" },
-  { artist: "Chicago Cubs", venue: "Field", date: "2024-09-28" },
-  { artist: "Molotov", venue: "Byline Bank Aragon Ballroom", date: "2025-09-28" },
-  { artist: "Cornerstone Of Rock", venue: "Charles Arcada Theatre", date: "2025-09-28" },
-  { artist: "Blackberry Smoke", venue: "Rialto Square Theatre", date: "2025-09-28" },
-  { artist: "Corinne Bailey Rae", venue: "Cahn Auditorium", date: "2025-09-28" },
-  { artist: "Grease", venue: "Heights Metropolis Performing Arts Centre", date: "2025-09-28" },
-  { artist: "Waterparks", venue: "Evanston Space", date: "2025-09-28" },
-  { artist: "California Honeydrops", venue: "Thalia Hall", date: "2025-09-28" },
-  { artist: "Marc E Bassy", venue: "Avondale Music Hall", date: "2025-09-28" },
-  { artist: "Joss Stone", venue: "North Shore Center", date: "2025-09-28" },
-  { artist: "The Raveonettes", venue: "Bottom Lounge", date: "2025-09-28" },
-  { artist: "Joffrey Ballet", venue: "Lyric Opera House", date: "2025-09-28" },
-  { artist: "Ashland Avenue", venue: "Goodman Theatre", date: "2025-09-28" },
-  { artist: "Cold Waves", venue: "Metro Chicago", date: "2025-09-28" },
-  { artist: "Million Dollar Quartet", venue: "Paramount Theatre Aurora", date: "2025-09-28" },
-  { artist: "Million Dollar Quartet", venue: "Paramount Theatre Aurora", date: "2025-09-28" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-28" },
-  { artist: "Northwestern Wildcats Womens Volleyball", venue: "Ryan Arena", date: "2025-09-28" },
-  { artist: "Chicago Symphony Orchestra", venue: "Chicago Symphony Center", date: "2025-09-28" },
-  { artist: "Dial M For Murder", venue: "Terrace Drury Lane Theatre Oakbrook Terrace", date: "2025-09-28" },
-  { artist: "Dial M For Murder", venue: "Terrace Drury Lane Theatre Oakbrook Terrace", date: "2025-09-28" },
-  { artist: "Catch Me If You Can", venue: "Marriott Theatre Lincolnshire", date: "2025-09-28" },
-  { artist: "Demxntia", venue: "Beat Kitchen", date: "2025-09-28" },
-  { artist: "Hand Habits", venue: "Empty Bottle", date: "2025-09-28" },
-  { artist: "Catch Me If You Can", venue: "Marriott Theatre Lincolnshire", date: "2025-09-28" },
-  { artist: "Chicago Cubs", venue: "Field", date: "2024-09-27" },
-  { artist: "Mana", venue: "United Center", date: "2025-09-27" },
-  { artist: "Papa Roach", venue: "Park Credit Union 1 Amphitheatre", date: "2025-09-27" },
-  { artist: "Holy Priest", venue: "Ramova Theatre", date: "2025-09-27" },
-  { artist: "Northwestern Wildcats Football", venue: "Medicine Field At Martin Stadium", date: "2025-06-05" },
-  { artist: "Louis Ck", venue: "Chicago Theatre", date: "2025-09-27" },
-  { artist: "Morrissey", venue: "Byline Bank Aragon Ballroom", date: "2025-09-27" },
-  { artist: "Elo   Electric Light Orchestra", venue: "Plaines Des Plaines Theatre", date: "2025-09-27" },
-  { artist: "Rupauls Drag Race", venue: "Rosemont Theatre", date: "2025-09-27" },
-  { artist: "Sg Lewis", venue: "Radius Chicago", date: "2025-09-27" },
-  { artist: "Bruce Dickinson", venue: "Riviera Theatre", date: "2025-09-27" },
-  { artist: "Michael Schenker", venue: "Charles Arcada Theatre", date: "2025-09-27" },
-  { artist: "Lamb Of God", venue: "The Venue At Horseshoe Casino Hammond", date: "2025-09-27" },
-  { artist: "Fleshwater", venue: "Thalia Hall", date: "2025-09-27" },
-  { artist: "Godspeed You Black Emperor", venue: "Bohemian National Cemetery", date: "2025-09-27" },
-  { artist: "Chicago Fire", venue: "Field", date: "2025-09-27" },
-  { artist: "Cary Elwes", venue: "Auditorium Theatre Chicago", date: "2025-09-27" },
-  { artist: "Andy And Shani", venue: "Copernicus Center", date: "2025-09-27" },
-  { artist: "The Mountain Goats", venue: "Salt Shed", date: "2025-09-27" },
-  { artist: "Lil Tracy", venue: "House Of Blues Chicago", date: "2025-09-27" },
-  { artist: "Kota The Friend", venue: "Patio Theater", date: "2025-09-27" },
-  { artist: "Big Jay Oakerson", venue: "Chicago Improv", date: "2025-09-27" },
-  { artist: "Oracle Sisters", venue: "Lincoln Hall", date: "2025-09-27" },
-  { artist: "Joffrey Ballet", venue: "Lyric Opera House", date: "2025-09-27" },
-  { artist: "Joffrey Ballet", venue: "Lyric Opera House", date: "2025-09-27" },
-  { artist: "Sleep Token", venue: "Allstate Arena", date: "2025-09-28" },
-  { artist: "Chicago Cubs", venue: "Field", date: "2024-09-28" },
-  { artist: "Molotov", venue: "Byline Bank Aragon Ballroom", date: "2025-09-28" },
-  { artist: "Cornerstone Of Rock", venue: "Charles Arcada Theatre", date: "2025-09-28" },
-  { artist: "Blackberry Smoke", venue: "Rialto Square Theatre", date: "2025-09-28" },
-  { artist: "Corinne Bailey Rae", venue: "Cahn Auditorium", date: "2025-09-28" },
-  { artist: "Grease", venue: "Heights Metropolis Performing Arts Centre", date: "2025-09-28" },
-  { artist: "Waterparks", venue: "Evanston Space", date: "2025-09-28" },
-  { artist: "California Honeydrops", venue: "Thalia Hall", date: "2025-09-28" },
-  { artist: "Marc E Bassy", venue: "Avondale Music Hall", date: "2025-09-28" },
-  { artist: "Joss Stone", venue: "North Shore Center", date: "2025-09-28" },
-  { artist: "The Raveonettes", venue: "Bottom Lounge", date: "2025-09-28" },
-  { artist: "Joffrey Ballet", venue: "Lyric Opera House", date: "2025-09-28" },
-  { artist: "Ashland Avenue", venue: "Goodman Theatre", date: "2025-09-28" },
-  { artist: "Cold Waves", venue: "Metro Chicago", date: "2025-09-28" },
-  { artist: "Million Dollar Quartet", venue: "Paramount Theatre Aurora", date: "2025-09-28" },
-  { artist: "Million Dollar Quartet", venue: "Paramount Theatre Aurora", date: "2025-09-28" },
-  { artist: "The First Lady Of Television", venue: "North Shore Center", date: "2025-09-28" },
-  { artist: "Northwestern Wildcats Womens Volleyball", venue: "Ryan Arena", date: "2025-09-28" },
-  { artist: "Chicago Symphony Orchestra", venue: "Chicago Symphony Center", date: "2025-09-28" },
-];
+/* =====================  Capture merge (model + extractors)  ===================== */
+const CAPTURE_FIELDS = ["artist_or_event", "venue", "ticket_qty", "budget_tier", "date_or_date_range", "name", "email", "phone", "sms_opt_in", "notes"];
 
-function formatRecs(dateHint) {
-  const norm = (s) => (s || "").toLowerCase();
-  const wanted = norm(dateHint);
-  const upcoming = RECOMMENDED_SHOWS
-    .filter(r => !wanted || norm(r.date).includes(wanted))
-    .sort((a, b) => new Date(a.date) - new Date(b.date))
-    .slice(0, 3);
-  if (!upcoming.length) return "I don’t have great recs for that date yet. Any artist you’re curious about?";
-  return upcoming.map(r => `${r.artist} @ ${r.venue} on ${r.date}`).join("\n");
+// Extractor output is heuristic, so only accept values that pass a basic sanity check.
+function plausibleExtracted(field, v) {
+  if (v === "" || v === null || v === undefined) return false;
+  const s = String(v).trim();
+  switch (field) {
+    case "artist_or_event": return s.length > 1 && s.length <= 80 && !userConfirmed(s);
+    case "ticket_qty": { const n = parseInt(s, 10); return n > 0 && n <= 12; }
+    case "email": return EMAIL_RE.test(s);
+    case "phone": return PHONE_RE.test(s);
+    case "sms_opt_in": return typeof v === "boolean";
+    case "name": return s.length > 1 && s.length <= 60 && !userConfirmed(s);
+    default: return s.length > 0;
+  }
 }
 
-function parseDateFromText(text) {
-  const m = String(text || "").match(DATE_WORDS);
-  if (!m) return null;
-  return m[0];
+/**
+ * Merge the model's tool arguments with both extractors, field by field.
+ * Precedence: model > picked recommendation > turn-aware > transcript. When the
+ * model called the tool, the regex extractors only backfill REQUIRED_FIELDS; its
+ * empty optional fields stay empty rather than taking a guess. Returns the merged
+ * record and a provenance map naming the source of each field ("" when nothing found).
+ */
+function mergeCapture(modelArgs, messages, picked = null) {
+  const sources = [
+    ["model", modelArgs || {}],
+    ["recommendation", picked ? showToCapture(picked) : {}],
+    ["turn-aware", extractTurnAware(messages)],
+    ["transcript", extractFromTranscript(messages)],
+  ];
+  const capture = {};
+  const provenance = {};
+  for (const field of CAPTURE_FIELDS) {
+    capture[field] = "";
+    provenance[field] = "";
+    for (const [source, values] of sources) {
+      if (modelArgs && !REQUIRED_FIELDS.includes(field) && (source === "turn-aware" || source === "transcript")) continue;
+      const v = values[field];
+      const ok = source === "model" || source === "recommendation"
+        ? v !== undefined && v !== null && v !== ""
+        : plausibleExtracted(field, v);
+      if (ok) { capture[field] = typeof v === "string" ? v.trim() : v; provenance[field] = source; break; }
+    }
+  }
+  return { capture, provenance };
 }
+
+/* =====================  Capture schema & validation  ===================== */
+const MAX_TICKET_QTY = parseInt(process.env.MAX_TICKET_QTY || "", 10) || 20;
+
+// Single source of truth for a capture: the capture_ticket_request tool parameters
+// are this schema, and both the chat and manual-form paths validate against it.
+const CAPTURE_SCHEMA = {
+  type: "object",
+  properties: {
+    artist_or_event: { type: "string", maxLength: 120 },
+    venue: { type: "string", maxLength: 120 },
+    ticket_qty: { type: "integer", minimum: 1, maximum: MAX_TICKET_QTY },
+    budget_tier: { type: "string", enum: tierLabels() },
+    date_or_date_range: { type: "string", maxLength: 80 },
+    name: { type: "string", maxLength: 80 },
+    email: { type: "string", maxLength: 254 },
+    phone: { type: "string", maxLength: 40 },
+    sms_opt_in: { type: "boolean", description: "true only if the user explicitly agreed to receive text messages about this request" },
+    notes: { type: "string", maxLength: 500 }
+  },
+  required: REQUIRED_FIELDS
+};
+
+// The tool also takes `items` for several events at once; each item is
+// validated as its own capture with the top-level contact fields.
+const ITEM_FIELDS = ["artist_or_event", "venue", "ticket_qty", "budget_tier", "date_or_date_range", "notes"];
+const CONTACT_FIELDS = ["name", "email", "phone", "sms_opt_in"];
+const CAPTURE_TOOL_SCHEMA = {
+  ...CAPTURE_SCHEMA,
+  properties: {
+    ...CAPTURE_SCHEMA.properties,
+    items: {
+      type: "array",
+      description: "Only when the user wants tickets to more than one event: one entry per event (leave the top-level event fields empty).",
+      items: {
+        type: "object",
+        properties: Object.fromEntries(ITEM_FIELDS.map(f => [f, CAPTURE_SCHEMA.properties[f]])),
+        required: ["artist_or_event", "ticket_qty"],
+      },
+    },
+  },
+  required: ["name", "email"],
+};
+
+const FIELD_LABELS = {
+  artist_or_event: "artist or event",
+  venue: "venue",
+  ticket_qty: "number of tickets",
+  budget_tier: "budget",
+  date_or_date_range: "date",
+  name: "name",
+  email: "email",
+  phone: "phone number",
+  sms_opt_in: "text message consent",
+  notes: "notes"
+};
+
+/**
+ * Validate + normalize a capture against CAPTURE_SCHEMA.
+ * Returns { value, errors } — `errors` maps field -> message and is empty when valid.
+ * Unknown keys are dropped; `budget` is accepted as an alias for `budget_tier`.
+ */
+function validateCapture(input = {}) {
+  const value = {};
+  const errors = {};
+  const src = { ...input, budget_tier: input.budget_tier || input.budget || "" };
+
+  for (const [field, rule] of Object.entries(CAPTURE_SCHEMA.properties)) {
+    const raw = src[field];
+    const empty = raw === undefined || raw === null || String(raw).trim() === "";
+    if (rule.type === "boolean") {
+      value[field] = raw === true || /^(true|yes|y|1|on)$/i.test(String(raw ?? "").trim());
+      continue;
+    }
+    if (empty) {
+      if (CAPTURE_SCHEMA.required.includes(field)) errors[field] = `Please provide your ${FIELD_LABELS[field]}.`;
+      value[field] = "";
+      continue;
+    }
+
+    if (rule.type === "integer") {
+      const n = Number.isFinite(raw) ? raw : parseInt(String(raw).replace(/[^\d-]/g, ""), 10);
+      if (!Number.isInteger(n) || n < rule.minimum || n > rule.maximum) {
+        errors[field] = `Ticket quantity must be between ${rule.minimum} and ${rule.maximum}.`;
+      }
+      value[field] = Number.isInteger(n) ? n : "";
+      continue;
+    }
+
+    let v = String(raw).trim();
+    if (v.length > rule.maxLength) errors[field] = `Your ${FIELD_LABELS[field]} is too long (max ${rule.maxLength} characters).`;
+    if (field === "date_or_date_range") {
+      // A value that is just a relative phrase ("this weekend") is stored as a
+      // concrete ISO range; anything longer keeps the fan's wording as written.
+      v = formatIsoRange(resolveDateRange(v, new Date(), { exact: true })) || v;
+    }
+    if (field === "budget_tier") {
+      v = normalizeBudgetTier(v, { qty: src.ticket_qty });
+      if (!v) errors[field] = "Please pick one of the listed budget ranges.";
+    }
+    if (field === "email" && !new RegExp(`^${EMAIL_RE.source}$`, "i").test(v)) errors[field] = "That email address doesn’t look right.";
+    if (field === "phone") {
+      // Stored as E.164 so the SMS channel can use it directly
+      if (!PHONE_RE.test(v) || !toE164(v)) errors[field] = "That phone number doesn’t look right.";
+      else v = toE164(v);
+    }
+    value[field] = v;
+  }
+  if (value.sms_opt_in && !value.phone && !errors.phone) errors.phone = "What mobile number should we text?";
+  return { value, errors };
+}
+
+// Capture state returned with every chat response so the widget can show progress / prefill the form.
+function captureState(fields, extra = {}) {
+  return { request: fields, missing: missingRequired(fields), captured: false, ...extra };
+}
+
+// Our own replies once a request is on file (captured, duplicate or queued).
+const CAPTURED_REPLY_RE = /\bI’ve captured\b|\bwe already have this request\b|\bI’ve got your request \(reference\b/i;
+
+// True when the last assistant turn before the user's reply was a summary / confirm
+// prompt: a question that asks to confirm, or that reads the contact email back.
+function assistantAskedToConfirm(messages) {
+  const prev = messages[messages.length - 2];
+  if (prev?.role !== "assistant") return false;
+  const q = String(prev.content || "");
+  if (CAPTURED_REPLY_RE.test(q) || !q.includes("?")) return false;
+  return EMAIL_RE.test(q) || /\b(confirm|correct|look(s)? (good|right)|all set|submit|finali[sz]e)\b/i.test(q);
+}
+
+function alreadyCaptured(messages) {
+  return messages.some(m => m.role === "assistant" && CAPTURED_REPLY_RE.test(String(m.content || "")));
+}
+
+/* =====================  Recommendations  ===================== */
 function formatHuman(d) {
   const dt = new Date(d + "T12:00:00");
   return dt.toLocaleDateString("en-US", { month: "short", day: "numeric" });
 }
-function upcomingRecommendations(requestedToken) {
-  const todayISO = new Date().toISOString().slice(0,10);
-  let pool = RECOMMENDED_SHOWS.filter(s => s.date >= todayISO);
-
-  if (requestedToken) {
-    const t = requestedToken.toLowerCase();
-    pool = pool.filter(s => {
-      const pretty = formatHuman(s.date).toLowerCase();
-      return pretty.includes(t.replace(",", ""));
-    });
-    if (pool.length === 0) pool = RECOMMENDED_SHOWS.filter(s => s.date >= todayISO);
+const RECS_PAGE_SIZE = 3;
+const REC_LINE_RE = /^\d+\. .+ @ .+ on .+$/m;
+
+/**
+ * Upcoming shows for a free-text query: date range + vibe / venue / neighborhood
+ * filters pulled from `text`, paged RECS_PAGE_SIZE at a time.
+ * `matched` is false when nothing fit and we fell back to the next few shows;
+ * `filtered` is false when `text` had no date or filter we recognize.
+ */
+async function upcomingRecommendations(text, page = 0) {
+  const shows = await getShows();
+  const upcoming = shows.filter(s => s.date >= todayISO());
+  const range = resolveDateRange(text);
+  const filters = extractFilters(text, upcoming);
+
+  let pool = upcoming;
+  let matched = true;
+  if (range || hasFilters(filters)) {
+    pool = filterShows(upcoming, filters, range);
+    if (pool.length === 0) { pool = upcoming; matched = false; }
+  }
+
+  const sorted = pool.slice().sort((a,b) => a.date.localeCompare(b.date));
+  const start = page * RECS_PAGE_SIZE;
+  const picks = sorted.slice(start, start + RECS_PAGE_SIZE);
+  const lines = picks.map((s, i) => `${i+1}. ${s.artist} @ ${s.venue} on ${formatHuman(s.date)}`);
+  return {
+    lines, shows: picks, matched, filtered: Boolean(range || hasFilters(filters)),
+    hasMore: sorted.length > start + RECS_PAGE_SIZE, description: describeFilters(filters, range),
+  };
+}
+
+// Structured form of a recommendation for the widget.
+function showSummary(s) {
+  return { id: s.id, artist: s.artist, venue: s.venue, date: s.date };
+}
+function showToCapture(s) {
+  return { artist_or_event: s.artist, venue: s.venue, date_or_date_range: s.date };
+}
+
+// Reply for the recommendations fast path; `more` is a "show me more" page.
+function suggestionsReply({ lines, shows, matched, hasMore, description }, more = false) {
+  const intro = more
+    ? "Here are a few more:"
+    : matched
+      ? "Great! Here are a few options:"
+      : `I don’t have any ${description} on my list, but here’s what’s coming up:`;
+  const outro = hasMore
+    ? "Do any of these interest you? Say “show me more” for other options."
+    : "Do any of these interest you?";
+  const message = lines.length
+    ? `${intro}\n\n${lines.join("\n")}\n\n${outro}`
+    : more
+      ? "That’s everything I’ve got for that search. Want me to request tickets for one of those, or try a different vibe or date?"
+      : `I don’t have any upcoming ${description} on my list right now. Tell me an artist you like and I’ll help you request tickets.`;
+  return { message, recommendations: shows.map(showSummary) };
+}
+
+/* =====================  Picking a recommendation  ===================== */
+const ORDINALS = [
+  [/\b(first|1st|#\s*1|number\s*(1|one)|option\s*(1|one)|the\s+1)\b/i, 0],
+  [/\b(second|2nd|#\s*2|number\s*(2|two)|option\s*(2|two)|the\s+2)\b/i, 1],
+  [/\b(third|3rd|#\s*3|number\s*(3|three)|option\s*(3|three)|the\s+3)\b/i, 2],
+];
+
+// Map the "N. Artist @ Venue on Mon D" lines of an assistant message back to catalog shows.
+function recListFromText(text, shows) {
+  const out = [];
+  for (const line of String(text || "").split("\n")) {
+    const m = line.match(/^\d+\. (.+) @ (.+) on (.+)$/);
+    if (!m) continue;
+    const show = shows.find(s => s.artist === m[1] && s.venue === m[2] && formatHuman(s.date) === m[3].trim());
+    if (show) out.push(show);
+  }
+  return out;
+}
+
+// Resolve "the second one", "the last one", "Sleep Token sounds good" against a list.
+function pickFromList(text, list) {
+  if (!list.length) return null;
+  if (/\b(last|final)\s+(one|option)\b/i.test(text)) return list[list.length - 1];
+  for (const [re, idx] of ORDINALS) if (re.test(text) && list[idx]) return list[idx];
+  const t = ` ${normName(text)} `;
+  return list.find(s => t.includes(` ${normName(s.artist)} `))
+    || list.find(s => normName(s.venue) && t.includes(` ${normName(s.venue)} `))
+    || null;
+}
+
+/**
+ * Most recent show the user picked from a recommendation list. `clientIds` (the
+ * IDs of the list in the previous reply, from the session or the widget) are tried
+ * first, however the reply worded that list; then we scan back for a user turn
+ * that answered an "N. Artist @ Venue on Mon D" list.
+ */
+function findPickedShow(messages, shows, clientIds = null) {
+  const last = messages[messages.length - 1];
+  if (Array.isArray(clientIds) && clientIds.length && last?.role === "user") {
+    const list = clientIds.map(id => shows.find(s => s.id === id)).filter(Boolean);
+    const picked = pickFromList(String(last.content || ""), list);
+    if (picked) return picked;
+  }
+  for (let i = messages.length - 1; i > 0; i--) {
+    const u = messages[i], a = messages[i - 1];
+    if (u.role !== "user" || a.role !== "assistant" || !REC_LINE_RE.test(String(a.content || ""))) continue;
+    const picked = pickFromList(String(u.content || ""), recListFromText(a.content, shows));
+    if (picked) return picked;
+  }
+  return null;
+}
+
+// Extra system note so the model fills the capture from the picked show.
+function pickedShowNote(s) {
+  return {
+    role: "system",
+    content:
+      `The user picked a recommended show: ${s.artist} at ${s.venue} on ${s.date} (id ${s.id}). ` +
+      `When calling capture_ticket_request use artist_or_event "${s.artist}", venue "${s.venue}" and ` +
+      `date_or_date_range "${s.date}", and only ask for details that are still missing.`
+  };
+}
+
+/**
+ * For "show me more": find the user message that started the current run of
+ * recommendation lists, and how many pages of it have been shown since.
+ */
+function previousRecQuery(messages) {
+  let pages = 0;
+  for (let i = messages.length - 2; i >= 0; i--) {
+    const m = messages[i];
+    const text = String(m.content || "");
+    if (m.role === "assistant") {
+      if (!REC_LINE_RE.test(text)) return null;
+      pages++;
+    } else if (m.role === "user" && !wantsMoreRecs(text)) {
+      return pages && wantsSuggestions(text) ? { text, page: pages } : null;
+    }
   }
+  return null;
+}
+
+/* =====================  Request status  ===================== */
+const STATUS_ASK = "Happy to check! What’s your request ID (it starts with FTE-) and the email you used?";
+const STATUS_ASK_ID = "Thanks! And what’s your request ID? It starts with FTE- and was in your confirmation email.";
+const STATUS_ASK_EMAIL = (requestId) => `Got it — ${requestId}. What email did you use for that request?`;
+
+// One of our own status follow-up questions (not just any reply that mentions a request ID).
+function isStatusPrompt(text) {
+  const t = String(text || "");
+  return t === STATUS_ASK || t === STATUS_ASK_ID
+    || /^Got it — FTE-[A-Z0-9-]+\. What email did you use for that request\?$/.test(t)
+    || /^I couldn’t find a request FTE-[A-Z0-9-]+ for .+ Can you double-check the request ID and email\?$/.test(t);
+}
+
+// Status question this turn, or an answer to one of our status prompts.
+function isStatusTurn(messages, userText) {
+  if (asksForStatus(userText)) return true;
+  const prev = messages[messages.length - 2];
+  return prev?.role === "assistant" && isStatusPrompt(prev.content);
+}
 
-  return pool
-    .sort((a,b) => a.date.localeCompare(b.date))
+// Request ID and email from anywhere in the conversation (latest wins).
+function statusLookupKeys(messages) {
+  let requestId = "", email = "";
+  for (const m of messages) {
+    const text = String(m.content || "");
+    const id = text.match(REQUEST_ID_RE);
+    if (id) requestId = id[0].toUpperCase();
+    const em = m.role === "user" && text.match(EMAIL_RE);
+    if (em) email = em[0];
+  }
+  return { requestId, email };
+}
+
+async function answerStatus(messages, log) {
+  const { requestId, email } = statusLookupKeys(messages);
+  if (!requestId && !email) return { message: STATUS_ASK };
+  if (!requestId) return { message: STATUS_ASK_ID };
+  if (!email) return { message: STATUS_ASK_EMAIL(requestId) };
+
+  let record = null;
+  try {
+    record = await lookupRequest(requestId, email);
+  } catch (e) {
+    log.warn("Status lookup failed:", e.message);
+    return { message: "I can’t reach our request tracker right now — please try again in a few minutes." };
+  }
+  if (!record) {
+    return { message: `I couldn’t find a request ${requestId} for ${email}. Can you double-check the request ID and email?` };
+  }
+  const what = `${record.artist_or_event}${record.venue ? ` @ ${record.venue}` : ""}`;
+  return {
+    message: `Your request ${record.request_id} for ${what} is currently “${record.status}”. ${describeStatus(record.status)}`,
+    status: { requestId: record.request_id, status: record.status },
+  };
+}
+
+/* =====================  Price quotes  ===================== */
+const PRICE_FALLBACK_MESSAGE =
+  "I can’t pull exact prices right now, but that feature is coming soon — our team will follow up with current pricing and tips to get the best deal. Want me to place a request for you?";
+
+// Quote -> chat reply, with the budget tiers the range spans.
+function formatQuote(q) {
+  const lowTier = tierFor(q.min);
+  const highTier = tierFor(q.max);
+  const tiers = lowTier === highTier ? `the ${lowTier} range` : `${lowTier} up to ${highTier}`;
+  const asOf = /^\d{4}-\d{2}-\d{2}$/.test(q.updatedAt) ? ` (last updated ${formatHuman(q.updatedAt)})` : q.updatedAt ? ` (last updated ${q.updatedAt})` : "";
+  const sections = q.sections
     .slice(0, 3)
-    .map((s, i) => `${i+1}. ${s.artist} @ ${s.venue} on ${formatHuman(s.date)}`);
+    .map(s => `• ${s.section || "General"}: $${s.min}–$${s.max}`)
+    .join("\n");
+  return (
+    `${q.event} tickets are running about $${q.min}–$${q.max} each${asOf} — that’s ${tiers} per ticket.\n\n` +
+    `${sections}\n\nPrices move fast, so our team will confirm current options. Want me to put in a request?`
+  );
 }
 
-/* =====================  OpenAI  ===================== */
-async function callOpenAI(messages) {
-  const sysPrompt = `
-You are FTE's intake assistant — a conversational, personable, and fun bot built by reformed ticket brokers who now want to help fans beat scalpers and navigate the broken ticketing industry.
-
-CORE GOALS
-- Capture ticket requests efficiently: artist_or_event, ticket_qty, budget_tier, date_or_date_range, name, email, optional phone/notes
-- Be conversational and friendly, never robotic - if the user chats casually, respond casually but always relate it back to tickets, concerts, or live events
-- Guide undecided users toward making requests by being personable, hyping the live experience, and lightly pushing ticket benefits
-- When user confirms details are correct, CALL capture_ticket_request immediately with what you have
-- Help users who are "on the fence" get excited about going through enthusiasm and insider knowledge
-
-PROCESS EXPLANATION
-- The bot gathers ticket request details quickly and conversationally.
-- After capturing info, FTE’s real team will reach out directly with options and next steps.
-- Always remind users they won’t be left hanging — the team follows up after the request.
-- Explain this naturally at the start of conversations or whenever asked “how does this work.”
-
-CONVERSATIONAL STYLE & PERSONALITY
-- Be witty, engaging, and the cool friend who's always thinking about the next show
-- Weather question? "Perfect for an outdoor concert! Speaking of which, any shows on your radar?"
-- Food mention? "Nothing beats stadium nachos at a game! What events are you interested in?"
-- Bored? "Sounds like you need some live music in your life! What kind of vibe are you feeling?"
-- Always keep the vibe fun, approachable, and slightly rebellious (against scalpers & Ticketmaster)
-- Short, natural replies - avoid robotic phrasing like "Understood" or "Got it"
-- Instead say: "Nice, let's lock that in" / "Sweet, here's what I've got" / "Oh, you're gonna love this lineup!"
-- Use casual language but stay professional when capturing details
-
-IDENTITY & EDUCATION (when asked)
-- "What are you?" → "I'm the FTE assistant, built by ex-brokers who got tired of scalpers ripping off fans. Think of me as your insider friend who knows how this whole ticket game really works. I'm in beta right now but getting smarter every day!"
-- About FTE → "FTE (Fair Ticket Exchange) was created by reformed industry insiders who got sick of seeing fans get gouged. We used to be part of the problem, now we're the solution - helping you navigate this crazy industry without getting burned."
-- About the industry → Educate about scalper tactics, Ticketmaster's hidden fees, dynamic pricing tricks. Be negative toward scalpers and legacy practices.
-- Government/FTC action → "The FTC is finally cracking down on these predatory practices."
-
-DATA TO CAPTURE (for capture_ticket_request)
-- artist_or_event (required)
-- ticket_qty (required, integer)
-- name (required)
-- email (required)
-- phone (optional)
-- notes (optional; short phrases only)
-
-Notes:
-- Do NOT ask for date/date-range or budget. If the user volunteers them, keep them as optional extras.
-- Ask for missing required fields one at a time.
-- When the user confirms the summary, CALL capture_ticket_request immediately.
-`;
-
-  const body = {
-    model: "gpt-4o-mini",
-    temperature: 0.2,
-    messages: [{ role: "system", content: sysPrompt }, ...messages],
-    tools: [
-      {
-        type: "function",
-        function: {
-          name: "capture_ticket_request",
-          description: "Finalize a ticket request and log to Google Sheets.",
-          parameters: {
-            type: "object",
-            properties: {
-              artist_or_event: { type: "string" },
-              ticket_qty: { type: "integer" },
-              budget_tier: {
-                type: "string",
-                enum: [
-                  "<$50","$50–$99","$100–$149","$150–$199",
-                  "$200–$249","$250–$299","$300–$349","$350–$399",
-                  "$400–$499","$500+"
-                ]
-              },
-              date_or_date_range: { type: "string" },
-              name: { type: "string" },
-              email: { type: "string" },
-              phone: { type: "string" },
-              notes: { type: "string" }
-            },
-            required: ["artist_or_event", "ticket_qty","name", "email"]
-          }
-        }
-      }
-    ],
-    tool_choice: "auto"
+/* =====================  Model  ===================== */
+const MODEL_HISTORY_MESSAGES = Number(process.env.MODEL_HISTORY_MESSAGES || 24);
+
+// Long conversations: send only the recent turns, plus a note with what the
+// dropped turns already established so the model doesn't re-ask.
+function historyForModel(messages) {
+  if (messages.length <= MODEL_HISTORY_MESSAGES) return messages;
+  let start = messages.length - MODEL_HISTORY_MESSAGES;
+  while (start < messages.length && messages[start].role !== "user") start++;
+  const known = mergeCapture(null, messages.slice(0, start)).capture;
+  const facts = Object.entries(known)
+    .filter(([, v]) => v !== "" && v !== null && v !== undefined)
+    .map(([k, v]) => `${FIELD_LABELS[k]}: ${v}`);
+  const note = {
+    role: "system",
+    content: `Earlier turns were trimmed (${start} messages).` +
+      (facts.length ? ` Details the user already gave: ${facts.join("; ")}.` : ""),
   };
+  return [note, ...messages.slice(start)];
+}
 
-  const resp = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify(body)
+/**
+ * Chat completion through the configured provider (shared/llm.js) with the
+ * session's system prompt (shared/prompts.js). `deadline` (epoch ms) caps the
+ * call, retries included. With `onDelta`, text deltas are passed along as they
+ * arrive; the return value has the same shape either way.
+ */
+async function callModel(messages, { systemPrompt, toolChoice = "auto", deadline, onDelta = null } = {}) {
+  return getProvider().complete({
+    messages: [{ role: "system", content: systemPrompt }, ...messages],
+    tools: MODEL_TOOLS,
+    toolChoice,
+    deadline,
+    onDelta,
   });
+}
 
-  if (!resp.ok) throw new Error(await resp.text());
-  return resp.json();
+function getToolCalls(modelResp) {
+  return modelResp?.choices?.[0]?.message?.tool_calls || [];
+}
+function getAssistantText(modelResp) {
+  return modelResp?.choices?.[0]?.message?.content || "";
 }
+// Models occasionally emit malformed JSON arguments; treat that as no arguments.
+function parseToolArgs(call) {
+  try {
+    const args = JSON.parse(call.function?.arguments || "{}");
+    return args && typeof args === "object" ? args : {};
+  } catch {
+    return {};
+  }
+}
+
+/* =====================  Model tools  ===================== */
+// capture_ticket_request ends the turn (the handler validates and saves it);
+// the others run here and their results go back to the model, up to
+// MODEL_MAX_TOOL_ROUNDS model calls per turn. All of them, retries included,
+// share MODEL_TURN_TIMEOUT_SECONDS; past it the turn falls back to the scripted intake.
+const MODEL_MAX_TOOL_ROUNDS = Number(process.env.MODEL_MAX_TOOL_ROUNDS || 4);
+const MODEL_TURN_TIMEOUT_SECONDS = Number(process.env.MODEL_TURN_TIMEOUT_SECONDS || 25);
 
-function getToolCalls(openaiResp) {
-  return openaiResp?.choices?.[0]?.message?.tool_calls || [];
+const tool = (name, description, parameters) => ({ type: "function", function: { name, description, parameters } });
+const MODEL_TOOLS = [
+  tool("capture_ticket_request", "Finalize a ticket request and log to Google Sheets.", CAPTURE_TOOL_SCHEMA),
+  tool("search_catalog",
+    "Search upcoming shows we can get tickets for. Use it for recommendations and “what’s on” questions. " +
+    "Show the returned `lines` to the user exactly as given (one per line) so they can pick by number.",
+    {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Artist, genre/vibe, venue, neighborhood and/or dates, e.g. \"comedy this weekend in Rosemont\"" },
+        page: { type: "integer", minimum: 0, description: "0 for the first results, 1 for the next page, …" },
+      },
+      required: ["query"],
+    }),
+  tool("lookup_price", "Recent price ranges from our price table for an event (per ticket, by section).", {
+    type: "object",
+    properties: { event: { type: "string", description: "Artist, team or event name" } },
+    required: ["event"],
+  }),
+  tool("check_request_status",
+    "Look up an existing ticket request. Needs the request ID (starts with FTE-) and the email used on it; ask the user for both first.",
+    {
+      type: "object",
+      properties: { request_id: { type: "string" }, email: { type: "string" } },
+      required: ["request_id", "email"],
+    }),
+  tool("escalate_to_human",
+    "Hand the conversation to the FTE team: the user asks for a person, has a problem with an existing order " +
+    "(refunds, changes, complaints) or needs something you can't do. Include contact details the user gave.",
+    {
+      type: "object",
+      properties: {
+        reason: { type: "string", maxLength: 200 },
+        summary: { type: "string", maxLength: 1000, description: "What the user needs, in a sentence or two" },
+        name: { type: "string" },
+        email: { type: "string" },
+        phone: { type: "string" },
+      },
+      required: ["reason", "summary"],
+    }),
+];
+
+// Each handler returns a JSON-able result for the model and records anything
+// the widget should see (recommendations, price, status, escalated) on `turn`.
+const TOOL_HANDLERS = {
+  async search_catalog({ query = "", page = 0 }, turn) {
+    const text = String(query);
+    const shows = (await getShows()).filter(s => s.date >= todayISO());
+    const byArtist = shows
+      .filter(s => normName(s.artist) && ` ${normName(text)} `.includes(` ${normName(s.artist)} `))
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .slice(0, RECS_PAGE_SIZE);
+    const found = byArtist.length
+      ? { shows: byArtist, matched: true, filtered: true, hasMore: false, description: text }
+      : await upcomingRecommendations(text, Math.max(0, parseInt(page, 10) || 0));
+    turn.recommendations = found.shows;
+    return {
+      matched: found.matched && found.filtered,
+      searched_for: found.description,
+      lines: found.shows.map((s, i) => `${i + 1}. ${s.artist} @ ${s.venue} on ${formatHuman(s.date)}`),
+      has_more: found.hasMore,
+    };
+  },
+
+  async lookup_price({ event = "" }, turn) {
+    const quote = await quotePrice(String(event));
+    if (!quote) return { found: false };
+    turn.price = quote;
+    return { found: true, event: quote.event, min: quote.min, max: quote.max, updated_at: quote.updatedAt, sections: quote.sections };
+  },
+
+  async check_request_status({ request_id = "", email = "" }, turn) {
+    const id = String(request_id).match(REQUEST_ID_RE)?.[0]?.toUpperCase();
+    if (!id || !EMAIL_RE.test(String(email))) return { found: false, error: "Need a request ID (FTE-…) and the email used on it" };
+    const record = await lookupRequest(id, String(email).trim());
+    if (!record) return { found: false };
+    turn.status = { requestId: record.request_id, status: record.status };
+    return {
+      found: true, request_id: record.request_id, status: record.status, description: describeStatus(record.status),
+      artist_or_event: record.artist_or_event, venue: record.venue, ticket_qty: record.ticket_qty,
+    };
+  },
+
+  async escalate_to_human(args, turn, { log, sessionId }) {
+    const pick = (k) => String(args[k] || "").slice(0, 1000);
+    const sent = await notifyHandoff({
+      reason: pick("reason"), summary: pick("summary"), name: pick("name"), email: pick("email"), phone: pick("phone"),
+      session_id: sessionId || "",
+    }, { log });
+    turn.escalated = Object.values(sent).includes("sent");
+    return turn.escalated
+      ? { escalated: true }
+      : { escalated: false, note: "The team couldn't be notified; point the user to the manual request form instead." };
+  },
+};
+
+async function runTool(call, turn, opts) {
+  const name = call.function?.name;
+  const handler = TOOL_HANDLERS[name];
+  if (!handler) return { error: `Unknown tool "${name}"` };
+  try {
+    return await handler(parseToolArgs(call), turn, opts);
+  } catch (e) {
+    opts.log.warn(`Tool ${name} failed:`, e.message);
+    return { error: "Temporarily unavailable" };
+  }
 }
-function getAssistantText(openaiResp) {
-  return openaiResp?.choices?.[0]?.message?.content || "";
+
+/**
+ * Call the model, run any tools it asks for and call it again with the results,
+ * until it answers in text, calls capture_ticket_request or runs out of rounds
+ * (the last round may not call tools). Returns the final model response;
+ * `turn.toolCalls` collects every call made along the way.
+ */
+async function runModel(messages, { systemPrompt, onDelta, turn, log, sessionId, deadline }) {
+  const convo = [...messages];
+  for (let round = 1; ; round++) {
+    const last = round >= MODEL_MAX_TOOL_ROUNDS;
+    const resp = await callModel(convo, { systemPrompt, deadline, onDelta, toolChoice: last ? "none" : "auto" });
+    const calls = getToolCalls(resp);
+    turn.toolCalls.push(...calls.map(c => ({ name: c.function?.name, arguments: c.function?.arguments })));
+    if (!calls.length || last || calls.some(c => c.function?.name === "capture_ticket_request")) return resp;
+
+    convo.push({ role: "assistant", content: getAssistantText(resp) || null, tool_calls: calls });
+    for (const call of calls) {
+      const result = await runTool(call, turn, { log, sessionId });
+      convo.push({ role: "tool", tool_call_id: call.id, content: JSON.stringify(result) });
+    }
+  }
+}
+
+/* =====================  Scripted intake (model unavailable)  ===================== */
+// When the model times out, errors or its circuit is open we still take the
+// request: ask for the required fields one at a time (the turn-aware extractor
+// reads the answers), then summarize and capture on "yes". Prompts are worded
+// to match extractTurnAware's question patterns.
+const SCRIPTED_ASK = {
+  artist_or_event: "Which artist or event are you looking for tickets to?",
+  ticket_qty: "How many tickets do you need?",
+  name: "What name should we put this under?",
+  email: "What’s the best email to reach you?",
+};
+const SCRIPTED_INTRO = "I’m running in basic mode right now, but I can still take your request (or say “open the form” to use the manual form).";
+
+function scriptedReply(messages, fields) {
+  const { value, errors } = validateCapture(fields);
+  const prev = [...messages].reverse().find(m => m.role === "assistant");
+  const intro = String(prev?.content || "").startsWith(SCRIPTED_INTRO) || Object.values(SCRIPTED_ASK).includes(prev?.content)
+    ? "" : `${SCRIPTED_INTRO}\n\n`;
+
+  const field = REQUIRED_FIELDS.find(f => value[f] === "") || Object.keys(errors)[0];
+  if (field && value[field] === "" && SCRIPTED_ASK[field]) return intro + SCRIPTED_ASK[field];
+  if (field) return `${intro}${errors[field]} Can you double-check your ${FIELD_LABELS[field]}?`;
+
+  return `${intro}Here’s what I’ve got: ${value.ticket_qty} tickets to ${value.artist_or_event} for ${value.name} (${value.email}). ` +
+    "Does that look right? Say “yes” and I’ll submit it.";
 }
 
 /* =====================  Intent helpers  ===================== */
 function looksLikePrice(msg) { return /(price|prices|cost|how much)/i.test(msg || ""); }
+function wantsMoreRecs(msg = "") {
+  return /\b(show me more|more (options|shows|recs|ideas|events)|what else|anything else|see more|next (page|few|ones))\b|^\s*more\b/i.test(msg || "");
+}
+// "I need 2 tickets for …", or naming a show we list: a request, not browsing.
+function namesRequest(msg = "", shows = []) {
+  if (/\b\d+\s+(tickets?|tix|seats?)\s+(for|to)\b/i.test(msg || "")) return true;
+  const t = ` ${normName(msg)} `;
+  return shows.some(s => normName(s.artist) && t.includes(` ${normName(s.artist)} `));
+}
+// "EDM this weekend", "something at the Vic on Friday": a vibe, venue or
+// neighborhood plus a date is browsing too, even without "shows" or "ideas".
+function filteredByDate(msg = "", shows = []) {
+  return Boolean(resolveDateRange(msg)) && hasFilters(extractFilters(msg, shows));
+}
 function wantsSuggestions(msg = "") {
   const q = (msg || "").toLowerCase();
   const patterns = [
@@ -1121,30 +765,340 @@ function wantsSuggestions(msg = "") {
   return patterns.some((re) => re.test(q));
 }
 
+/* =====================  Idempotency  ===================== */
+// Per-instance cache of responses keyed by the client's idempotency key, so a
+// retried submit gets the original answer instead of a second row. A key is
+// marked in flight before the handler runs, so a concurrent duplicate (double
+// click) waits for the first call and replays its answer.
+const IDEMPOTENCY_TTL_MS = Math.max(DUPLICATE_WINDOW_HOURS, 1) * 3600 * 1000;
+const idempotentResponses = new Map();
+const inFlight = new Map(); // key -> promise settled when that call finishes
+
+function idempotencyKey(req) {
+  const key = req.headers?.["idempotency-key"] || req.body?.idempotency_key;
+  return key ? String(key).slice(0, 200) : "";
+}
+function rememberResponse(key, res) {
+  const now = Date.now();
+  for (const [k, v] of idempotentResponses) if (v.expires < now) idempotentResponses.delete(k);
+  idempotentResponses.set(key, { status: res.status, body: res.body, expires: now + IDEMPOTENCY_TTL_MS });
+}
+
+/**
+ * Wait out any in-flight call with `key`, then either return its cached answer
+ * ({ replay }) or claim the key ({ finish(res) }, call it when done). The last
+ * check and the claim happen with no await in between, so one call runs per key.
+ */
+async function claimKey(key) {
+  while (inFlight.has(key)) await inFlight.get(key);
+  const hit = idempotentResponses.get(key);
+  if (hit && hit.expires > Date.now()) return { replay: hit };
+  let settle;
+  inFlight.set(key, new Promise(resolve => { settle = resolve; }));
+  return {
+    finish(res) {
+      if (res?.status === 200 || res?.status === 202) rememberResponse(key, res);
+      inFlight.delete(key);
+      settle();
+    },
+  };
+}
+
+// Per-sink outcome for clients; the error text (URLs, tokens, upstream bodies) stays in the logs.
+function publicSinks(sinks = []) {
+  return sinks.map(({ sink, ok, queued }) => ({ sink, ok, queued: Boolean(queued) }));
+}
+
+// Error bodies never carry exception text: upstream errors can echo keys or request bodies.
+const UNEXPECTED_ERROR_MESSAGE = "Sorry — something went wrong on our end. Please try again, or use the manual request form.";
+const SAVE_FAILED_MESSAGE = "Sorry — I couldn’t save your request just now. Please try again in a moment, or use the manual request form.";
+
+// Nothing stored yet, but the write is safely queued for retry.
+function queuedMessage(result) {
+  return `I’ve got your request (reference ${result.requestId}), but our system is slow to save it right now. ` +
+    "It’s queued and will be saved automatically within the next few minutes — no need to resubmit.";
+}
+
+// Confirmation email + text to the fan, then a heads-up to the team (all best-effort).
+async function confirmAndNotify(saved, source, log) {
+  await deliverConfirmationEmail(saved.record, { log });
+  await deliverSms("confirmation", saved.record, { log });
+  await notifyNewRequest(saved.record, { source, log });
+}
+
+/* =====================  Multi-event captures  ===================== */
+// One capture per event: `items` inherit the top-level (contact) fields.
+function captureItems(args) {
+  if (!Array.isArray(args.items) || !args.items.length) return [args];
+  const { items, ...shared } = args;
+  return items.filter(i => i && typeof i === "object").map(i => ({ ...shared, ...i }));
+}
+
+// One email / text listing every item; the team still gets one alert per row.
+async function confirmGroupAndNotify(results, log) {
+  if (results.length === 1) return confirmAndNotify(results[0], "chat", log);
+  const records = results.map(r => r.record);
+  await deliverEmail("group_confirmation", records[0], { extra: { items: records }, log });
+  await deliverSms("group_confirmation", records[0], { extra: { items: records }, log });
+  for (const record of records) await notifyNewRequest(record, { source: "chat", log });
+}
+
+/**
+ * Validate and save a multi-event capture as one request group (a row per item).
+ * `known` is the merged single capture, used as a backstop for contact fields
+ * the model left out. Returns { message, state }.
+ */
+async function captureGroup(items, known, { log, promptVersion = "" }) {
+  const contact = Object.fromEntries(CONTACT_FIELDS.map(f => [f, known[f]]));
+  const filled = (o) => Object.fromEntries(Object.entries(o).filter(([, v]) => v !== "" && v !== null && v !== undefined));
+  const checked = items.map(i => validateCapture({ ...contact, ...filled(i) }));
+  const values = checked.map(c => c.value);
+  log("Capture record:", JSON.stringify({ source: "model", items: values.map(v => redact(v, [v.name])), errors: checked.map(c => c.errors) }));
+
+  const bad = checked.find(c => Object.keys(c.errors).length);
+  if (bad) {
+    const [field, problem] = Object.entries(bad.errors)[0];
+    const ask = bad.value[field] === "" ? problem : `${problem} Can you double-check your ${FIELD_LABELS[field]}?`;
+    const which = ITEM_FIELDS.includes(field) && bad.value.artist_or_event ? `For ${bad.value.artist_or_event}: ` : "";
+    return { message: which + ask, state: captureState(bad.value, { errors: bad.errors, items: values.map(request => ({ request })) }) };
+  }
+
+  let saved;
+  try {
+    saved = await saveRequestGroup(values.map(v => ({ ...v, prompt_version: promptVersion })), { log });
+  } catch (e) {
+    log.error("Saving request group failed:", e);
+    return { message: SAVE_FAILED_MESSAGE, state: captureState(values[0], { items: values.map(request => ({ request })) }) };
+  }
+
+  const stored = saved.results.filter(r => r.ok || r.queued);
+  const fresh = stored.filter(r => !r.duplicate);
+  if (fresh.length) await confirmGroupAndNotify(fresh, log);
+
+  const state = captureState(values[0], {
+    captured: saved.ok, queued: !saved.ok && saved.queued, groupId: saved.groupId,
+    items: saved.results.map((r, i) => ({
+      request: values[i], requestId: r.requestId, captured: r.ok, queued: !r.ok && r.queued, duplicate: r.duplicate,
+    })),
+  });
+  if (!stored.length) return { message: SAVE_FAILED_MESSAGE, state };
+
+  const lines = saved.results.map((r, i) => {
+    const v = values[i];
+    const outcome = !(r.ok || r.queued) ? "couldn’t save this one — please try again"
+      : r.duplicate ? `already on file (${r.requestId})`
+      : r.requestId;
+    return `• ${v.ticket_qty} tickets to ${v.artist_or_event}: ${outcome}`;
+  });
+  const pending = saved.results.some(r => !r.ok && r.queued) ? " A few are still saving; no need to resubmit." : "";
+  return {
+    message: `Perfect! I’ve captured ${stored.length} requests:\n${lines.join("\n")}\n\n` +
+      `We’ll reach out to ${values[0].email} with options for each.${pending} Thanks, ${values[0].name || "friend"}!`,
+    state,
+  };
+}
+
+function duplicateMessage(result) {
+  const when = result.originalTimestamp ? ` on ${result.originalTimestamp}` : "";
+  const notes = result.notesMerged ? " I’ve added your new notes to it." : "";
+  return `Good news — we already have this request (submitted${when}).${notes} Our team will follow up soon!`;
+}
+
 /* =====================  Azure Function entry  ===================== */
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, Idempotency-Key",
+  "Content-Type": "application/json"
+};
+
 module.exports = async function (context, req) {
-  context.res = {
-    headers: {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type, Authorization",
-      "Content-Type": "application/json"
-    }
+  const events = wantsStream(req) ? eventStream(context) : null;
+  const key = idempotencyKey(req);
+  const { replay, finish } = key ? await claimKey(key) : {};
+  if (replay) {
+    context.res = { headers: { ...CORS_HEADERS }, status: replay.status, body: replay.body };
+    events?.end(context.res);
+    return;
+  }
+  try {
+    await respond(context, req, events);
+  } finally {
+    finish?.(context.res);
+  }
+  events?.end(context.res);
+};
+
+async function respond(context, req, events = null) {
+  const trace = { branch: "", onDelta: events?.delta };
+  let session;
+  try {
+    session = await openSession(context, req);
+  } catch (e) {
+    context.log.error("Session load failed:", e);
+    context.res = { headers: { ...CORS_HEADERS }, status: 500, body: { error: "Internal error", message: UNEXPECTED_ERROR_MESSAGE, openFormHint: true } };
+    return;
+  }
+  if (session === false) return;
+  if (session) {
+    // The stored history replaces anything the client sent
+    req = { ...req, body: { ...req.body, session_id: session.id, messages: session.messages, recommendations: session.recommendations } };
+  } else if (Array.isArray(req.body?.messages)) {
+    req = { ...req, body: { ...req.body, messages: legacyMessages(req.body.messages) } };
+  }
+  await handle(context, req, trace);
+  if (session) await closeSession(context, session);
+  if (trace.branch) await recordTurn(context, req, trace);
+}
+
+/* =====================  Streaming  ===================== */
+// Opt-in with { "stream": true } or "Accept: text/event-stream". The reply is an
+// SSE body: "delta" events with model text as it's generated, then one "done"
+// event carrying the usual JSON response (or "error" for non-2xx). Clients should
+// replace the streamed text with done.message, which may differ (e.g. the
+// capture confirmation). The response goes out with the first delta (see
+// context.openStream in shared/host.js); a turn that streams no model text gets
+// the final event as a plain SSE body with the real HTTP status.
+const SSE_HEADERS = { "Content-Type": "text/event-stream", "Cache-Control": "no-cache" };
+
+function wantsStream(req) {
+  return req.body?.stream === true || /text\/event-stream/i.test(req.headers?.accept || "");
+}
+
+function eventStream(context) {
+  const pending = [];
+  let out = null;
+  let ended = false;
+  return {
+    delta(text) {
+      if (ended) return;
+      const event = sseEvent("delta", { content: text });
+      if (!out && context.openStream) {
+        out = context.openStream({ status: 200, headers: { ...CORS_HEADERS, ...SSE_HEADERS } });
+      }
+      if (out) out.write(event);
+      else pending.push(event); // no streaming host: deltas go out with the final event
+    },
+    end(res) {
+      ended = true;
+      const ok = res.status >= 200 && res.status < 300;
+      const last = sseEvent(ok ? "done" : "error", { status: res.status, ...res.body });
+      if (out) out.end(last);
+      else context.res = { status: res.status, headers: { ...res.headers, ...SSE_HEADERS }, body: pending.join("") + last };
+    },
   };
+}
+
+/* =====================  Sessions  ===================== */
+// Session mode: the client sends { session_id?, message } and we keep the history
+// (shared/sessions.js). Posting a full `messages` array still works (the widget
+// sends one until it ships sessions) unless SESSIONS_REQUIRED=true; only its user
+// and assistant turns are kept, so clients can't inject system or tool turns.
+const MAX_MESSAGE_CHARS = 2000;
+
+function legacyMessages(messages) {
+  return messages
+    .filter(m => (m?.role === "user" || m?.role === "assistant") && typeof m.content === "string" && m.content.trim())
+    .map(m => ({ role: m.role, content: m.content.slice(0, MAX_MESSAGE_CHARS) }));
+}
+
+// Returns the session with the new user turn appended, null for legacy requests,
+// or false when the request was rejected (context.res already set).
+async function openSession(context, req) {
+  if (req.method === "OPTIONS" || req.body?.direct_capture) return null;
+  const text = req.body?.message;
+  if (typeof text !== "string") {
+    if (process.env.SESSIONS_REQUIRED === "true") {
+      context.res = { headers: { ...CORS_HEADERS }, status: 400, body: { error: "Send { session_id, message }" } };
+      return false;
+    }
+    context.log.warn("Legacy { messages } request; clients should send { session_id, message }");
+    return null;
+  }
+  if (!text.trim() || text.length > MAX_MESSAGE_CHARS) {
+    context.res = { headers: { ...CORS_HEADERS }, status: 400, body: { error: `Message must be 1–${MAX_MESSAGE_CHARS} characters` } };
+    return false;
+  }
+  const { session, resumed } = await getSessions().load(req.body.session_id);
+  if (!resumed && req.body.session_id) context.log("Session expired or unknown; starting", session.id);
+  session.messages.push({ role: "user", content: text.trim() });
+  return session;
+}
+
+// Append the reply to the history and persist; failures only cost history.
+async function closeSession(context, session) {
+  const body = context.res?.body;
+  if (!body || typeof body !== "object") return;
+  body.sessionId = session.id;
+  if (context.res.status === 200 && body.message) {
+    session.messages.push({ role: "assistant", content: body.message });
+    // Picks resolve against the list in the reply just before them, so a reply without one clears it
+    session.recommendations = Array.isArray(body.recommendations) ? body.recommendations.map(r => r.id) : [];
+  } else {
+    session.messages.pop(); // failed turn: let the user retry without a dangling message
+  }
+  try {
+    await getSessions().save(session);
+  } catch (e) {
+    context.log.warn("Session save failed:", e.message);
+  }
+}
+
+// Per-turn transcript (see shared/transcripts.js); the session ID is echoed back so the widget can keep sending it.
+async function recordTurn(context, req, trace) {
+  const body = context.res?.body || {};
+  const sessionId = String(req.body?.session_id || req.headers?.["x-session-id"] || "").slice(0, 100) || newSessionId();
+  if (body && typeof body === "object") body.sessionId = sessionId;
+  const capture = trace.capture || body.capture?.request || req.body?.capture || null;
+  await logTurn({
+    session_id: sessionId,
+    branch: trace.branch,
+    status: context.res?.status,
+    messages: req.body?.messages || [],
+    reply: body.message || body.error || "",
+    tool_calls: trace.toolCalls || [],
+    capture,
+    provenance: trace.provenance || null,
+    prompt_version: trace.promptVersion || "",
+    request_id: body.capture?.requestId || body.capture?.groupId || "",
+    request_ids: (body.capture?.items || []).map(i => i.requestId).filter(Boolean),
+  }, { log: context.log, contact: trace.contact || capture });
+}
+
+async function handle(context, req, trace = {}) {
+  context.res = { headers: { ...CORS_HEADERS } };
 
   if (req.method === "OPTIONS") { context.res.status = 200; context.res.body = {}; return; }
 
   // Manual modal capture from Framer
   if (req.body?.direct_capture && req.body?.capture) {
+    trace.branch = "direct_capture";
+    const { value, errors } = validateCapture(req.body.capture);
+    if (Object.keys(errors).length) {
+      context.res.status = 422;
+      context.res.body = { error: "Invalid request", fields: errors };
+      return;
+    }
     try {
-      await appendToSheet(toRow(req.body.capture));
-      // send confirmation email (best-effort; don't fail the request if email fails)
-      try { await sendConfirmationEmail(req.body.capture); } catch (e) { context.log.warn("Email (manual) failed:", e.message); }
-      context.res.status = 200;
-      context.res.body = { message: "Saved your request. We’ll follow up soon!" };
+      const saved = await saveRequest(value, { log: context.log });
+      if (!saved.ok && !saved.queued) {
+        context.res.status = 502;
+        context.res.body = { error: "Could not save request", sinks: publicSinks(saved.sinks) };
+        return;
+      }
+      // send confirmation email (best-effort; a failed send is queued for retry)
+      if (!saved.duplicate) await confirmAndNotify(saved, "form", context.log);
+      context.res.status = saved.ok ? 200 : 202;
+      context.res.body = {
+        message: saved.duplicate ? duplicateMessage(saved)
+          : saved.ok ? "Saved your request. We’ll follow up soon!"
+          : queuedMessage(saved),
+        capture: captureState(value, { captured: saved.ok, queued: !saved.ok, requestId: saved.requestId, duplicate: saved.duplicate, sinks: publicSinks(saved.sinks) }),
+      };
     } catch (e) {
+      context.log.error("Direct capture failed:", e);
       context.res.status = 500;
-      context.res.body = { error: String(e) };
+      context.res.body = { error: "Internal error", message: SAVE_FAILED_MESSAGE };
     }
     return;
   }
@@ -1159,75 +1113,183 @@ module.exports = async function (context, req) {
 
     const lastUserMessage = messages[messages.length - 1];
     const userText = String(lastUserMessage?.content || "");
+    let shows = [];
+    let picked = null;
+    try {
+      shows = await getShows();
+      picked = findPickedShow(messages, shows, req.body?.recommendations);
+    } catch (e) {
+      context.log.warn("Catalog unavailable for recommendation lookup:", e.message);
+    }
+    const extracted = mergeCapture(null, messages, picked).capture;
 
     // Open the manual form on request
     if (userAskedForm(userText)) {
+      trace.branch = "form";
+      context.res.status = 200;
+      context.res.body = { message: "Opening the manual request form…", openForm: true, capture: captureState(extracted) };
+      return;
+    }
+
+    // "What's the status of my request?"
+    if (isStatusTurn(messages, userText)) {
+      trace.branch = "status";
+      const answer = await answerStatus(messages, context.log);
       context.res.status = 200;
-      context.res.body = { message: "Opening the manual request form…", openForm: true };
+      context.res.body = { ...answer, capture: captureState(extracted) };
       return;
     }
 
-    // Hard-coded date-based recs
-    if (wantsSuggestions(userText)) {
-      const token = parseDateFromText(userText);
-      const list = upcomingRecommendations(token);
-      const msg = list.length
-        ? `Great! Here are a few options:\n\n${list.join("\n")}\n\nDo any of these interest you?`
-        : "I don’t have anything upcoming for that date window. Tell me an artist you like and I’ll help you request tickets.";
+    // Fast paths: recommendations when the message names a date / vibe / venue
+    // ("show me more" pages through them) and quotes we have price data for.
+    // Anything vaguer, or a message asking for tickets to a specific show, goes
+    // to the model, which has the same lookups as tools.
+    const moreOf = wantsMoreRecs(userText) ? previousRecQuery(messages) : null;
+    const browsing = wantsSuggestions(userText) || filteredByDate(userText, shows);
+    const suggesting = Boolean(moreOf) || (browsing && !namesRequest(userText, shows));
+    const recs = suggesting ? await upcomingRecommendations((moreOf || { text: userText }).text, moreOf?.page || 0) : null;
+    if (moreOf || recs?.filtered) {
+      trace.branch = "suggestions";
       context.res.status = 200;
-      context.res.body = { message: msg };
+      context.res.body = { ...suggestionsReply(recs, Boolean(moreOf)), capture: captureState(extracted) };
       return;
     }
 
-    // Price placeholder
+    let quote = null;
     if (looksLikePrice(userText)) {
+      try {
+        quote = await quotePrice(userText, [extracted.artist_or_event]);
+      } catch (e) {
+        context.log.warn("Price lookup failed:", e.message);
+      }
+      if (quote) {
+        trace.branch = "price";
+        context.res.status = 200;
+        context.res.body = { message: formatQuote(quote), price: quote, capture: captureState(extracted) };
+        return;
+      }
+    }
+
+    // ----- Let the model run the chat flow (tools, then capture when ready)
+    trace.branch = "model";
+    const history = historyForModel(messages);
+    const turn = { toolCalls: [] };
+    const deadline = Date.now() + MODEL_TURN_TIMEOUT_SECONDS * 1000;
+    let modelResponse = null;
+    try {
+      const prompt = await buildSystemPrompt(assignPromptVersion(req.body?.session_id), { log: context.log });
+      trace.promptVersion = prompt.version;
+      modelResponse = await runModel(picked ? [...history, pickedShowNote(picked)] : history, {
+        systemPrompt: prompt.text, onDelta: trace.onDelta, turn, log: context.log, sessionId: req.body?.session_id, deadline,
+      });
+    } catch (e) {
+      // Timeout, upstream error or open circuit (shared/llm.js): fall back to the
+      // regex intents, then the scripted intake.
+      context.log.warn("Model unavailable, using scripted intake:", e.message);
+      trace.branch = "scripted";
+    }
+    trace.toolCalls = turn.toolCalls;
+    const degraded = !modelResponse;
+
+    if (degraded && (suggesting || looksLikePrice(userText))) {
+      trace.branch = suggesting ? "suggestions" : "price";
       context.res.status = 200;
       context.res.body = {
-        message:
-          "I can’t pull exact prices right now, but that feature is coming soon — our team will follow up with current pricing and tips to get the best deal. Want me to place a request for you?"
+        ...(suggesting ? suggestionsReply(recs, false) : { message: PRICE_FALLBACK_MESSAGE }),
+        capture: captureState(extracted), degraded: true, openFormHint: true,
       };
       return;
     }
 
-    // ----- Let the model run the chat flow (and call capture tool when ready)
-    const openaiResponse = await callOpenAI(messages);
-    const toolCalls = getToolCalls(openaiResponse);
-    let finalMessage = getAssistantText(openaiResponse);
-    let captureData = null;
-
-    for (const call of toolCalls) {
-      const name = call.function?.name;
-      const args = JSON.parse(call.function?.arguments || "{}");
-      if (name === "capture_ticket_request") {
-        captureData = args;
-      }
+    let finalMessage = getAssistantText(modelResponse);
+    const items = getToolCalls(modelResponse)
+      .filter(call => call.function?.name === "capture_ticket_request")
+      .flatMap(call => captureItems(parseToolArgs(call)));
+    let captureData = items.length === 1 ? items[0] : null;
+    const group = items.length > 1 ? items : null;
+
+    // Merge model args with both extractors; if the model skipped the tool on a
+    // confirmed turn but we already have everything required, capture anyway.
+    const { capture: merged, provenance } = mergeCapture(captureData, messages, picked);
+    trace.capture = merged;
+    trace.provenance = provenance;
+    let captureSource = captureData ? "model" : "";
+    let state = captureState(merged);
+    const validation = validateCapture(merged);
+    const valid = Object.keys(validation.errors).length === 0;
+    if (degraded) finalMessage = scriptedReply(messages, merged);
+    if (captureData) {
+      captureData = merged;
+    } else if (!group && userConfirmed(userText) && assistantAskedToConfirm(messages) && !alreadyCaptured(messages) && valid) {
+      if (!degraded) context.log.warn("Model skipped capture_ticket_request on a confirmed turn; using extracted fields");
+      captureData = merged;
+      captureSource = degraded ? "scripted" : "fallback";
+    }
+    if (captureData) {
+      context.log("Capture record:", JSON.stringify({ source: captureSource, fields: redact(captureData, [captureData.name]), provenance, errors: validation.errors }));
+    }
+
+    if (captureData && !valid) {
+      // Don't log junk rows; ask the user to fix the first problem instead.
+      const [field, problem] = Object.entries(validation.errors)[0];
+      finalMessage = validation.value[field] === "" ? problem : `${problem} Can you double-check your ${FIELD_LABELS[field]}?`;
+      state = captureState(validation.value, { errors: validation.errors });
+      captureData = null;
     }
 
     if (captureData) {
       try {
-        // Ensure budget tier is normalized if the model guessed loosely
-        captureData.budget_tier = normalizeBudgetTier(captureData.budget_tier || "");
-        const row = toRow(captureData);
-        await appendToSheet(row);
-
-        // send confirmation email (best-effort)
-        try { await sendConfirmationEmail(captureData); } catch (e) { context.log.warn("Email (chat) failed:", e.message); }
-
-        finalMessage =
-          `Perfect! I’ve captured your request for ${captureData.ticket_qty} ` +
-          `tickets to ${captureData.artist_or_event}. We’ll reach out to ${captureData.email} ` +
-          `with options that fit your ${captureData.budget_tier || "—"} budget. Thanks, ${captureData.name || "friend"}!`;
+        // Normalized by validateCapture (budget tier, trimmed strings, integer qty)
+        captureData = validation.value;
+        const saved = await saveRequest({ ...captureData, prompt_version: trace.promptVersion || "" }, { log: context.log });
+        state = captureState(captureData, {
+          captured: saved.ok, queued: !saved.ok && saved.queued,
+          requestId: saved.requestId, duplicate: saved.duplicate, sinks: publicSinks(saved.sinks),
+        });
+
+        if (!saved.ok && !saved.queued) {
+          finalMessage = SAVE_FAILED_MESSAGE;
+        } else if (!saved.ok) {
+          await confirmAndNotify(saved, "chat", context.log);
+          finalMessage = queuedMessage(saved);
+        } else if (saved.duplicate) {
+          finalMessage = duplicateMessage(saved);
+        } else {
+          // send confirmation email (best-effort)
+          await confirmAndNotify(saved, "chat", context.log);
+
+          finalMessage =
+            `Perfect! I’ve captured your request for ${captureData.ticket_qty} ` +
+            `tickets to ${captureData.artist_or_event}. We’ll reach out to ${captureData.email} ` +
+            `with options that fit your ${captureData.budget_tier || "—"} budget. Your request ID is ${saved.requestId}. Thanks, ${captureData.name || "friend"}!`;
+        }
       } catch (e) {
-        context.log.error("Sheet append failed:", e);
+        context.log.error("Saving request failed:", e);
+        finalMessage = SAVE_FAILED_MESSAGE;
       }
     }
 
+    if (group) {
+      ({ message: finalMessage, state } = await captureGroup(group, merged, { log: context.log, promptVersion: trace.promptVersion }));
+      trace.capture = state.items.map(i => i.request);
+      // Items share one contact; the transcript redacts it by value
+      const first = trace.capture[0] || merged;
+      trace.contact = { name: first.name, email: first.email, phone: first.phone };
+    }
+
     context.res.status = 200;
-    context.res.body = { message: finalMessage || "Got it!" };
+    context.res.body = { message: finalMessage || "Got it!", capture: state };
+    if (picked) context.res.body.picked = showSummary(picked);
+    if (turn.recommendations) context.res.body.recommendations = turn.recommendations.map(showSummary);
+    if (turn.price) context.res.body.price = turn.price;
+    if (turn.status) context.res.body.status = turn.status;
+    if (turn.escalated) context.res.body.escalated = true;
+    // The widget can offer (not force) the manual form while the model is down.
+    if (degraded) Object.assign(context.res.body, { degraded: true, openFormHint: true });
 
   } catch (e) {
     context.log.error(e);
     context.res.status = 500;
-    context.res.body = { error: String(e) };
+    context.res.body = { error: "Internal error", message: UNEXPECTED_ERROR_MESSAGE, openFormHint: true };
   }
-};
+}
@@ -0,0 +1,39 @@
+// index.js — email template preview
+// ------------------------------------
+// GET  /api/email/preview                         list templates
+// GET  /api/email/preview/{template}?format=html  render against data/email-templates/samples.json
+//                                                 (format: html | text | json; query params override sample fields)
+// POST /api/email/preview/{template}  { ...fields }  render against the posted fields instead
+
+const samples = require("../data/email-templates/samples.json");
+const { buildEmail } = require("../shared/email");
+const { TEMPLATE_NAMES } = require("../shared/templates");
+
+module.exports = async function (context, req) {
+  const template = req.params?.template;
+  if (!template) {
+    context.res = { status: 200, headers: { "Content-Type": "application/json" }, body: { templates: TEMPLATE_NAMES } };
+    return;
+  }
+
+  const { format = "html", ...overrides } = req.query || {};
+  const data = req.method === "POST" && req.body && typeof req.body === "object"
+    ? req.body
+    : { ...samples, ...overrides };
+
+  let email;
+  try {
+    email = buildEmail(template, data, data);
+  } catch (e) {
+    context.res = { status: 404, headers: { "Content-Type": "application/json" }, body: { error: e.message, templates: TEMPLATE_NAMES } };
+    return;
+  }
+
+  if (format === "json") {
+    context.res = { status: 200, headers: { "Content-Type": "application/json" }, body: email };
+  } else if (format === "text") {
+    context.res = { status: 200, headers: { "Content-Type": "text/plain; charset=utf-8" }, body: `Subject: ${email.subject}\n\n${email.text}` };
+  } else {
+    context.res = { status: 200, headers: { "Content-Type": "text/html; charset=utf-8" }, body: email.html };
+  }
+};
@@ -0,0 +1,23 @@
+// index.js — timer-triggered outbox drain (every 5 minutes)
+// ------------------------------------
+// Retries sheet/sink writes, emails and texts that failed in the chat
+// function. See shared/outbox.js for the queue layout and backoff settings.
+
+const { getOutbox } = require("../shared/outbox");
+const { retrySave } = require("../shared/storage");
+const { sendTemplateEmail } = require("../shared/email");
+const { sendTemplateSms } = require("../shared/sms");
+
+function handlersFor(log) {
+  return {
+    save_request: (payload) => retrySave(payload, { log }),
+    send_email: (payload) => sendTemplateEmail(payload.template || "confirmation", payload.capture, payload.extra),
+    send_sms: (payload) => sendTemplateSms(payload.template, payload.capture, payload.extra),
+  };
+}
+
+module.exports = async function (context, timer) {
+  if (timer?.isPastDue) context.log.warn("Outbox drain is running late");
+  const stats = await getOutbox().drain(handlersFor(context.log), { log: context.log });
+  context.log("Outbox drain:", JSON.stringify(stats));
+};
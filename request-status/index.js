@@ -0,0 +1,55 @@
+// index.js — request status lookup
+// ------------------------------------
+// GET  /api/requests/{id}/status?email=fan@example.com
+// POST /api/requests/{id}/status   { "email": "fan@example.com" }
+// Both the request ID and the email on the request are required.
+
+const { lookupRequest } = require("../shared/storage");
+const { describeStatus } = require("../shared/status");
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  "Content-Type": "application/json"
+};
+
+module.exports = async function (context, req) {
+  context.res = { headers: { ...CORS_HEADERS } };
+
+  if (req.method === "OPTIONS") { context.res.status = 200; context.res.body = {}; return; }
+
+  const requestId = String(req.params?.id || "").trim();
+  const email = String(req.body?.email || req.query?.email || "").trim();
+  if (!requestId || !email) {
+    context.res.status = 400;
+    context.res.body = { error: "Request ID and email are required" };
+    return;
+  }
+
+  try {
+    const record = await lookupRequest(requestId, email);
+    if (!record) {
+      context.res.status = 404;
+      context.res.body = { error: "No request found for that ID and email" };
+      return;
+    }
+    context.res.status = 200;
+    context.res.body = {
+      requestId: record.request_id,
+      status: record.status,
+      description: describeStatus(record.status),
+      request: {
+        artist_or_event: record.artist_or_event,
+        venue: record.venue,
+        ticket_qty: record.ticket_qty,
+        date_or_date_range: record.date_or_date_range,
+        submitted_at: record.submitted_at,
+      },
+    };
+  } catch (e) {
+    context.log.error("Status lookup failed:", e);
+    context.res.status = 500;
+    context.res.body = { error: "Could not look up the request right now. Please try again later." };
+  }
+};
@@ -0,0 +1,132 @@
+// budget.js — per-ticket budget tiers
+// ------------------------------------
+// One tier definition drives budget parsing, the capture_ticket_request enum and
+// price-quote mapping. Tiers are [min, max) in dollars per ticket.
+//
+//   BUDGET_TIERS       JSON: either boundaries ([50, 100, 150]) or explicit tiers
+//                      ([{ "label": "Under $75", "max": 75 }, { "label": "$75+", "min": 75 }])
+//   BUDGET_TIERS_FILE  path to a JSON file in the same format (BUDGET_TIERS wins)
+
+const fs = require("fs");
+
+const DEFAULT_BOUNDARIES = [50, 100, 150, 200, 250, 300, 350, 400, 500];
+
+/* =====================  Tier definition  ===================== */
+// [50, 100, 500] -> "<$50", "$50–$99", "$100–$499", "$500+"
+function tiersFromBoundaries(bounds) {
+  const b = [...bounds].map(Number).filter(Number.isFinite).sort((x, y) => x - y);
+  const tiers = [{ label: `<$${b[0]}`, min: 0, max: b[0] }];
+  for (let i = 0; i < b.length - 1; i++) {
+    tiers.push({ label: `$${b[i]}–$${b[i + 1] - 1}`, min: b[i], max: b[i + 1] });
+  }
+  tiers.push({ label: `$${b[b.length - 1]}+`, min: b[b.length - 1], max: Infinity });
+  return tiers;
+}
+
+function normalizeTiers(config) {
+  if (!Array.isArray(config) || !config.length) throw new Error("Budget tiers must be a non-empty array");
+  if (config.every(v => typeof v === "number")) return tiersFromBoundaries(config);
+  return config
+    .map(t => ({ label: String(t.label), min: Number(t.min ?? 0), max: t.max === undefined || t.max === null ? Infinity : Number(t.max) }))
+    .sort((a, b) => a.min - b.min);
+}
+
+function loadTiers() {
+  try {
+    if (process.env.BUDGET_TIERS) return normalizeTiers(JSON.parse(process.env.BUDGET_TIERS));
+    if (process.env.BUDGET_TIERS_FILE) return normalizeTiers(JSON.parse(fs.readFileSync(process.env.BUDGET_TIERS_FILE, "utf8")));
+  } catch (e) {
+    console.warn("Budget tier config ignored:", e.message);
+  }
+  return tiersFromBoundaries(DEFAULT_BOUNDARIES);
+}
+
+const TIERS = loadTiers();
+
+function tierLabels() {
+  return TIERS.map(t => t.label);
+}
+
+// Label -> { min, max } per ticket, or null for an unknown label.
+function tierRange(label) {
+  const t = TIERS.find(x => labelKey(x.label) === labelKey(label));
+  return t ? { min: t.min, max: t.max } : null;
+}
+
+function tierFor(amount) {
+  if (!Number.isFinite(amount) || amount < 0) return "";
+  return (TIERS.find(t => amount >= t.min && amount < t.max) || TIERS[TIERS.length - 1]).label;
+}
+
+/* =====================  Parsing  ===================== */
+const NUM = String.raw`\$?\s*(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)\s*(k\b)?`;
+const toAmount = (digits, k) => parseFloat(digits.replace(/,/g, "")) * (k ? 1000 : 1);
+const labelKey = (s) => String(s).toLowerCase().replace(/[\s–—-]+/g, "-");
+
+const WORD_QTY = { both: 2, pair: 2, couple: 2, two: 2, three: 3, four: 4, five: 5, six: 6 };
+
+// Tickets a quoted total covers: "for both", "for 2", "for all 4", "for the 3 of us".
+function qtyFromText(t) {
+  let m = t.match(/\bfor\s+(?:all\s+|the\s+)?(\d{1,2})\b/);
+  if (m) return parseInt(m[1], 10);
+  m = t.match(/\b(?:for\s+)?(?:the\s+)?(both|pair|couple|two|three|four|five|six)\b/);
+  return m ? WORD_QTY[m[1]] : null;
+}
+
+/**
+ * Per-ticket budget from free text. Understands tier labels, "under $50",
+ * "over 500", "500+", ranges ("$80-120 each" — the top of the range is the
+ * ceiling), "$1,400" / "1.5k", and totals ("$300 for both", "$600 total"),
+ * which are divided by the quantity in the text or `qty`.
+ * Returns { perTicket, total } (dollars) or null.
+ */
+function parseBudget(text = "", { qty } = {}) {
+  const t = String(text || "").toLowerCase();
+  let m;
+
+  // Ceiling / floor phrasing
+  let amount = null;
+  let bound = "";
+  if ((m = t.match(new RegExp(String.raw`(?:<|under|less\s+than|below|up\s+to|max(?:imum)?(?:\s+of)?|no\s+more\s+than)\s*${NUM}`)))) {
+    amount = toAmount(m[1], m[2]); bound = "under";
+  } else if ((m = t.match(new RegExp(String.raw`(?:>|over|more\s+than|above|at\s+least)\s*${NUM}`))) || (m = t.match(new RegExp(String.raw`${NUM}\s*\+`)))) {
+    amount = toAmount(m[1], m[2]); bound = "over";
+  } else if ((m = t.match(new RegExp(String.raw`${NUM}\s*(?:-|–|—|to)\s*${NUM}`)))) {
+    amount = toAmount(m[3], m[4]); bound = "range";
+  } else {
+    // Prefer $-amounts; otherwise the largest bare number (quantities are small)
+    const dollars = [...t.matchAll(/\$\s*(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)\s*(k\b)?/g)];
+    const bare = [...t.matchAll(/(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)\s*(k\b)?/g)];
+    const picks = dollars.length ? dollars : bare;
+    if (!picks.length) return null;
+    amount = Math.max(...picks.map(p => toAmount(p[1], p[2])));
+  }
+
+  const isTotal = /\b(total|all\s+together|altogether|in\s+all|for\s+(?:both|all|the\s+(?:pair|group|two|three|four)|\d{1,2}\b)|for\s+the\s+\d{1,2})/.test(t)
+    && !/\b(each|per\s+(?:ticket|person|seat|head)|apiece|a\s+ticket|a\s+seat)\b/.test(t);
+  if (isTotal) {
+    const n = qtyFromText(t) || parseInt(qty, 10);
+    if (!n) return null;
+    return { perTicket: toPerTicket(amount / n, bound), total: amount };
+  }
+  return { perTicket: toPerTicket(amount, bound), total: null };
+}
+
+// "under 100" / "80-100" mean below 100; "over 500" means 500 and up.
+function toPerTicket(amount, bound) {
+  if (bound === "under" || bound === "range") return Math.max(0, amount - 0.01);
+  return amount;
+}
+
+/**
+ * Text -> tier label ("" when no budget is found). Exact tier labels pass through,
+ * so values the model picked from the enum are kept as-is.
+ */
+function normalizeBudgetTier(text = "", opts = {}) {
+  const exact = TIERS.find(t => labelKey(t.label) === labelKey(text).replace(/^-|-$/g, ""));
+  if (exact) return exact.label;
+  const b = parseBudget(text, opts);
+  return b ? tierFor(b.perTicket) : "";
+}
+
+module.exports = { normalizeBudgetTier, parseBudget, tierFor, tierRange, tierLabels, tiersFromBoundaries };
@@ -0,0 +1,200 @@
+// catalog.js — event catalog behind the recommendations flow
+// ------------------------------------
+// Ops maintain the show list in a Google Sheets tab (or a local JSON/CSV file, see
+// tables.js); entries are normalized, deduplicated and cached in memory for CATALOG_TTL_SECONDS.
+//
+//   CATALOG_SOURCE       "sheet" | "file" (default "file")
+//   CATALOG_SHEET_ID     spreadsheet ID (defaults to GOOGLE_SHEETS_ID)
+//   CATALOG_SHEET_RANGE  tab range with Artist, Venue, Date columns (default "Shows!A:C")
+//   CATALOG_FILE         path to a .json or .csv file (default data/shows.json, which ships
+//                        empty: publish the current list there or use the sheet)
+//   CATALOG_TTL_SECONDS  cache lifetime (default 900)
+//   CATALOG_VENUES_FILE  venue -> { neighborhood, category } directory (default data/venues.json)
+//
+// Optional Category / Genre / Neighborhood columns override the venue directory.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { createTable, fileSource, sourceFromEnv } = require("./tables");
+const { todayISO } = require("./dates");
+
+const DEFAULT_FILE = path.join(__dirname, "..", "data", "shows.json");
+const DEFAULT_VENUES_FILE = path.join(__dirname, "..", "data", "venues.json");
+
+/* =====================  Normalization  ===================== */
+// Accepts ISO (2025-09-28) or US (9/28/2025) dates; returns "" if unusable.
+function normalizeDate(d) {
+  const s = String(d || "").trim();
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}`;
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (m) return `${m[3]}-${m[1].padStart(2, "0")}-${m[2].padStart(2, "0")}`;
+  return "";
+}
+
+const lower = (v) => String(v || "").trim().toLowerCase();
+
+function normalizeShow(raw) {
+  const artist = String(raw?.artist || raw?.Artist || "").trim();
+  const venue = String(raw?.venue || raw?.Venue || "").trim();
+  const date = normalizeDate(raw?.date || raw?.Date);
+  if (!artist || !date) return null;
+  return {
+    artist,
+    venue,
+    date,
+    category: lower(raw?.category || raw?.Category),
+    genre: lower(raw?.genre || raw?.Genre),
+    neighborhood: String(raw?.neighborhood || raw?.Neighborhood || "").trim(),
+  };
+}
+
+// Stable across reloads as long as artist / venue / date don't change.
+function showId(show) {
+  const key = `${show.artist}|${show.venue}|${show.date}`.toLowerCase();
+  return `show_${crypto.createHash("sha1").update(key).digest("hex").slice(0, 10)}`;
+}
+
+// Fill category / neighborhood from the venue directory where the row left them blank.
+function enrichShow(show, venues) {
+  const v = venues[show.venue] || {};
+  return {
+    id: showId(show),
+    ...show,
+    category: show.category || v.category || "concert",
+    neighborhood: show.neighborhood || v.neighborhood || "",
+  };
+}
+
+function loadVenues(file = process.env.CATALOG_VENUES_FILE || DEFAULT_VENUES_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    console.warn(`Venue directory ${file} not loaded:`, e.message);
+    return {};
+  }
+}
+
+function dedupeShows(shows) {
+  const seen = new Set();
+  return shows.filter(s => {
+    const key = `${s.artist}|${s.venue}|${s.date}`.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/* =====================  Cached catalog  ===================== */
+// A table (see tables.js) of normalized, deduplicated, enriched shows.
+function createCatalog(source, { ttlMs = 15 * 60 * 1000, fallback = null, venues = {}, log = console } = {}) {
+  const prepare = (raw) => {
+    const shows = dedupeShows(raw.map(normalizeShow).filter(Boolean)).map(s => enrichShow(s, venues));
+    // Recommendations and featured shows only use upcoming dates; say so when the list has none.
+    if (!shows.some(s => s.date >= todayISO())) log.warn?.(`Catalog (${source.name}) has no upcoming shows`);
+    return shows;
+  };
+  return createTable(source, { label: "Catalog", prepare, ttlMs, fallback, log });
+}
+
+/* =====================  Search filters  ===================== */
+// Vibe words -> the genre/category tag they select.
+const VIBES = {
+  edm: ["edm", "electronic", "dance music", "house music", "techno", "dubstep", "bass music", "rave"],
+  comedy: ["comedy", "comedian", "comedians", "stand-up", "standup", "stand up", "funny", "laughs?"],
+  theater: ["theater", "theatre", "musicals?", "broadway", "plays?", "ballet"],
+  sports: ["sports?", "games?", "baseball", "football", "soccer", "basketball", "wrestling"],
+  rock: ["rock", "punk", "emo", "alternative"],
+  metal: ["metal", "heavy metal", "metalcore"],
+  pop: ["pop"],
+  "k-pop": ["k-?pop"],
+  "hip-hop": ["hip[- ]?hop", "rap"],
+  country: ["country"],
+  latin: ["latin", "reggaeton", "banda", "mariachi", "regional mexican"],
+  "r&b": ["r&b", "rnb", "soul"],
+  blues: ["blues", "jazz"],
+  classical: ["classical", "symphony", "orchestra"],
+  indie: ["indie", "folk"],
+  festival: ["festivals?", "fests?"],
+};
+const VIBE_RES = Object.entries(VIBES).map(([tag, words]) => [tag, new RegExp(`(^|[^a-z])(${words.join("|")})(?![a-z])`, "i")]);
+
+// Words too common in venue names to identify one on their own.
+const GENERIC_VENUE_WORDS = new Set([
+  "the", "and", "chicago", "theatre", "theater", "club", "comedy", "hall", "center", "centre", "music",
+  "park", "field", "arena", "stadium", "live", "house", "room", "lounge", "bank", "casino", "city",
+  "north", "south", "east", "west", "street", "auditorium", "space", "event", "venue", "performing", "arts",
+  "bar", "pub", "new", "old", "one", "lot", "mall",
+]);
+
+const wordRe = (w) => new RegExp(`(^|[^a-z])${w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?![a-z])`, "i");
+
+/**
+ * Pull recommendation constraints out of a user message, using the catalog's own
+ * venues / neighborhoods as vocabulary. Returns { vibes, venues, neighborhoods }.
+ */
+function extractFilters(text, shows) {
+  const t = String(text || "");
+  const vibes = VIBE_RES.filter(([, re]) => re.test(t)).map(([tag]) => tag);
+  // "k-pop" also trips "pop"
+  if (vibes.includes("k-pop")) vibes.splice(vibes.indexOf("pop"), vibes.includes("pop") ? 1 : 0);
+
+  const venueNames = [...new Set(shows.map(s => s.venue).filter(Boolean))];
+  const venues = venueNames.filter(v => {
+    if (wordRe(v.toLowerCase()).test(t)) return true;
+    return v.toLowerCase().split(/\s+/)
+      .filter(w => w.length >= 3 && !GENERIC_VENUE_WORDS.has(w))
+      .some(w => wordRe(w).test(t));
+  });
+
+  let neighborhoods = [...new Set(shows.map(s => s.neighborhood).filter(Boolean))]
+    .filter(n => wordRe(n.toLowerCase()).test(t));
+  // Prefer "West Loop" over "Loop" when both match
+  neighborhoods = neighborhoods.filter(n => !neighborhoods.some(o => o !== n && o.toLowerCase().includes(n.toLowerCase())));
+
+  return { vibes, venues, neighborhoods };
+}
+
+function hasFilters(f) {
+  return !!(f && (f.vibes.length || f.venues.length || f.neighborhoods.length));
+}
+
+// Filters are AND'ed across kinds and OR'ed within a kind; range is { start, end } ISO dates.
+function filterShows(shows, filters, range) {
+  return shows.filter(s => {
+    if (range && (s.date < range.start || s.date > range.end)) return false;
+    if (!filters) return true;
+    if (filters.vibes.length && !filters.vibes.some(v => s.genre === v || s.category === v)) return false;
+    if (filters.venues.length && !filters.venues.includes(s.venue)) return false;
+    if (filters.neighborhoods.length && !filters.neighborhoods.includes(s.neighborhood)) return false;
+    return true;
+  });
+}
+
+// "comedy shows at Zanies Comedy Club Rosemont in Rosemont" — for "nothing matched" replies.
+function describeFilters(filters, range) {
+  const parts = [];
+  parts.push(filters?.vibes.length ? `${filters.vibes.join("/")} shows` : "shows");
+  if (filters?.venues.length) parts.push(`at ${filters.venues.join(" or ")}`);
+  if (filters?.neighborhoods.length) parts.push(`in ${filters.neighborhoods.join(" or ")}`);
+  if (range?.phrase) parts.push(range.phrase);
+  return parts.join(" ");
+}
+
+const catalog = createCatalog(sourceFromEnv("CATALOG", { range: "Shows!A:C", file: DEFAULT_FILE }), {
+  ttlMs: Number(process.env.CATALOG_TTL_SECONDS || 900) * 1000,
+  fallback: process.env.CATALOG_SOURCE === "sheet" ? fileSource(DEFAULT_FILE) : null,
+  venues: loadVenues(),
+});
+
+module.exports = {
+  getShows: () => catalog.list(),
+  extractFilters,
+  hasFilters,
+  filterShows,
+  describeFilters,
+  createCatalog,
+  normalizeShow,
+  dedupeShows,
+};
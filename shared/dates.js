@@ -0,0 +1,171 @@
+// dates.js — natural-language date ranges in America/Chicago
+// ------------------------------------
+// resolveDateRange("this weekend") -> { start: "2025-09-26", end: "2025-09-28", phrase: "this weekend" }
+// Days are plain calendar dates (no time of day); weeks run Monday–Sunday and
+// "the weekend" is Friday–Sunday.
+
+const TIME_ZONE = "America/Chicago";
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const MONTH_WORD = "(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+const WEEKDAY_WORD = "(?:mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:rs(?:day)?)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?)";
+// Bare month / weekday names only count when spelled out, so "may I…" or "sat down" aren't dates.
+const FULL_MONTH = "(?:january|february|march|april|june|july|august|september|october|november|december)";
+const FULL_WEEKDAY = "(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday)";
+const MONTH_DAY = `${MONTH_WORD}\\.?\\s*\\d{1,2}(?:st|nd|rd|th)?(?:\\s*[-–]\\s*\\d{1,2}(?:st|nd|rd|th)?)?(?:,?\\s*\\d{4})?`;
+const NUMERIC = "\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?|\\d{4}-\\d{2}-\\d{2}";
+
+// Finds the first date-ish phrase in free text (used by the extractors).
+const DATE_PHRASE_RE = new RegExp(
+  `\\b(today|tonight|tomorrow|tmrw|(?:this|next)\\s*(?:week|weekend|month)|weekend|` +
+  `(?:${MONTH_DAY}|${NUMERIC})(?:\\s*(?:-|–|to|through|thru)\\s*(?:${MONTH_DAY}|${NUMERIC}))?|` +
+  `(?:(?:this|next)\\s+)?${WEEKDAY_WORD}\\s*(?:-|–|to|through|thru)\\s*${WEEKDAY_WORD}|` +
+  `(?:this|next)\\s+${WEEKDAY_WORD}|${FULL_WEEKDAY}|` +
+  `(?:(?:in|during|this|next)\\s+${MONTH_WORD}|${FULL_MONTH})(?:\\s+\\d{4})?)\\b`,
+  "i"
+);
+
+/* =====================  Calendar helpers  ===================== */
+// Dates are carried as UTC-midnight Date objects purely for arithmetic.
+const mk = (y, m, d) => new Date(Date.UTC(y, m - 1, d));
+const addDays = (dt, n) => new Date(dt.getTime() + n * 86400000);
+const iso = (dt) => dt.toISOString().slice(0, 10);
+const lastOfMonth = (y, m) => mk(y, m + 1, 0);
+
+function todayInZone(now = new Date()) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: TIME_ZONE, year: "numeric", month: "2-digit", day: "2-digit"
+  }).formatToParts(now);
+  const get = (t) => Number(parts.find(p => p.type === t).value);
+  return mk(get("year"), get("month"), get("day"));
+}
+
+function monthIndex(word) {
+  return MONTHS.indexOf(String(word).slice(0, 3).toLowerCase()) + 1;
+}
+function weekdayIndex(word) {
+  return WEEKDAYS.indexOf(String(word).slice(0, 3).toLowerCase());
+}
+
+// Monday of the week containing `dt`.
+function weekStart(dt) {
+  return addDays(dt, -((dt.getUTCDay() + 6) % 7));
+}
+
+// A month/day with no year means the next time that date comes around.
+function withInferredYear(m, d, today, year) {
+  if (year) return mk(year < 100 ? 2000 + year : year, m, d);
+  const dt = mk(today.getUTCFullYear(), m, d);
+  return dt < today ? mk(today.getUTCFullYear() + 1, m, d) : dt;
+}
+
+/* =====================  Single days  ===================== */
+function parseDay(text, today) {
+  const t = String(text || "").trim().toLowerCase();
+  let m;
+
+  if (/^(today|tonight)$/.test(t)) return today;
+  if (/^(tomorrow|tmrw)$/.test(t)) return addDays(today, 1);
+
+  if ((m = t.match(/^(\d{4})-(\d{2})-(\d{2})$/))) return mk(+m[1], +m[2], +m[3]);
+  if ((m = t.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/))) return withInferredYear(+m[1], +m[2], today, m[3] && +m[3]);
+
+  m = t.match(new RegExp(`^(${MONTH_WORD})\\.?\\s*(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s*(\\d{4}))?$`, "i"));
+  if (m) return withInferredYear(monthIndex(m[1]), +m[2], today, m[3] && +m[3]);
+
+  m = t.match(new RegExp(`^(?:(this|next)\\s+)?(${WEEKDAY_WORD})$`, "i"));
+  if (m) {
+    const target = weekdayIndex(m[2]);
+    let dt = addDays(today, (target - today.getUTCDay() + 7) % 7);
+    // "next friday" skips the one still ahead in the current week
+    if (m[1] === "next" && weekStart(dt).getTime() === weekStart(today).getTime()) dt = addDays(dt, 7);
+    return dt;
+  }
+  return null;
+}
+
+/* =====================  Ranges  ===================== */
+function parseRange(text, today) {
+  const t = String(text || "").trim().toLowerCase().replace(/\s+/g, " ");
+  let m;
+
+  if (t === "this week") return [today, addDays(weekStart(today), 6)];
+  if (t === "next week") { const s = addDays(weekStart(today), 7); return [s, addDays(s, 6)]; }
+
+  if (t === "this weekend" || t === "weekend" || t === "next weekend") {
+    const dow = today.getUTCDay();
+    let start = dow === 0 || dow === 6 ? today : addDays(today, 5 - dow);
+    let end = addDays(weekStart(today), 6);
+    if (t === "next weekend") { start = addDays(end, -2 + 7); end = addDays(end, 7); }
+    return [start, end];
+  }
+
+  if (t === "this month") return [today, lastOfMonth(today.getUTCFullYear(), today.getUTCMonth() + 1)];
+  if (t === "next month") {
+    const y = today.getUTCFullYear() + (today.getUTCMonth() === 11 ? 1 : 0);
+    const mo = ((today.getUTCMonth() + 1) % 12) + 1;
+    return [mk(y, mo, 1), lastOfMonth(y, mo)];
+  }
+
+  // "sep 26-28", "september 26 – 28, 2025"
+  m = t.match(new RegExp(`^(${MONTH_WORD})\\.?\\s*(\\d{1,2})(?:st|nd|rd|th)?\\s*[-–]\\s*(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s*(\\d{4}))?$`, "i"));
+  if (m) {
+    const start = withInferredYear(monthIndex(m[1]), +m[2], today, m[4] && +m[4]);
+    return [start, mk(start.getUTCFullYear(), monthIndex(m[1]), +m[3])];
+  }
+
+  // "in october", "during oct 2025", "next october", "october"
+  m = t.match(new RegExp(`^(?:in|during|this|next)?\\s*(${MONTH_WORD})(?:\\s+(\\d{4}))?$`, "i"));
+  if (m) {
+    const mo = monthIndex(m[1]);
+    let y = m[2] ? +m[2] : today.getUTCFullYear();
+    if (!m[2] && mo < today.getUTCMonth() + 1) y += 1;
+    const start = mk(y, mo, 1);
+    return [start < today ? today : start, lastOfMonth(y, mo)];
+  }
+
+  // "sep 26 to oct 2", "9/26 - 9/28", "friday through sunday"
+  m = t.match(/^(.+?)\s*(?:\s-\s|–|\bto\b|\bthrough\b|\bthru\b|-(?=\s*[a-z]))\s*(.+)$/i);
+  if (m) {
+    const start = parseDay(m[1], today);
+    let end = start && parseDay(m[2], today);
+    if (start && end) {
+      if (end < start) end = addDays(end, 7 * Math.ceil((start - end) / (7 * 86400000)));
+      return [start, end];
+    }
+  }
+
+  const day = parseDay(t, today);
+  return day ? [day, day] : null;
+}
+
+/**
+ * Resolve the first date phrase in `text` to a concrete range.
+ * Returns { start, end, phrase } (ISO calendar dates, Chicago time) or null.
+ * With `exact`, the phrase must be all of `text` (bar punctuation), so
+ * "weekend of Nov 7" or "not this weekend but next" don't resolve to a guess.
+ */
+function resolveDateRange(text, now = new Date(), { exact = false } = {}) {
+  const stored = String(text || "").trim().match(/^(\d{4}-\d{2}-\d{2})\/(\d{4}-\d{2}-\d{2})$/);
+  if (stored) return { start: stored[1], end: stored[2], phrase: stored[0] };
+  const m = String(text || "").match(DATE_PHRASE_RE);
+  if (!m) return null;
+  if (exact && String(text).replace(m[0], "").replace(/[\s.,!?]+/g, "") !== "") return null;
+  const range = parseRange(m[1], todayInZone(now));
+  if (!range) return null;
+  return { start: iso(range[0]), end: iso(range[1]), phrase: m[1].trim() };
+}
+
+// ISO 8601 interval for storage: "2025-09-26/2025-09-28", or a single date.
+function formatIsoRange(r) {
+  if (!r) return "";
+  return r.start === r.end ? r.start : `${r.start}/${r.end}`;
+}
+
+function todayISO(now = new Date()) {
+  return iso(todayInZone(now));
+}
+
+module.exports = { DATE_PHRASE_RE, TIME_ZONE, resolveDateRange, formatIsoRange, todayISO };
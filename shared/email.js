@@ -0,0 +1,84 @@
+// email.js — transactional email
+// ------------------------------------
+// Copy lives in templates (see templates.js), delivery in mailer.js; failed sends
+// are retried through the outbox.
+
+const { normalizeBudgetTier } = require("./budget");
+const { getOutbox } = require("./outbox");
+const { getMailer } = require("./mailer");
+const { renderEmail } = require("./templates");
+const { normalizeStatus, describeStatus } = require("./status");
+
+/* =====================  Template data  ===================== */
+function itemData(c = {}) {
+  return {
+    artist: c.artist_or_event || "your event",
+    venue: c.venue || "",
+    qty: c.ticket_qty || "?",
+    date: c.date_or_date_range || "TBD",
+    budget: normalizeBudgetTier(c.budget_tier || c.budget || "") || "—",
+    notes: c.notes || "—",
+    request_id: c.request_id || "",
+  };
+}
+
+// Capture (+ extras such as message / options_url, or `items` — the records of a
+// multi-event request) -> template variables.
+function emailData(c = {}, extra = {}) {
+  const status = normalizeStatus(extra.status || c.status);
+  const items = Array.isArray(extra.items) ? extra.items.map(itemData) : [];
+  return {
+    ...itemData(c),
+    name: c.name || "there",
+    status,
+    status_description: describeStatus(status),
+    message: extra.message || "",
+    options_url: extra.options_url || "",
+    group_id: c.group_id || extra.group_id || "",
+    items,
+    item_count: items.length,
+  };
+}
+
+function buildEmail(template, c, extra) {
+  return renderEmail(template, emailData(c, extra));
+}
+
+/* =====================  Sending  ===================== */
+// Skipped (no error) when there's no recipient or MAIL_TRANSPORT is none.
+async function sendTemplateEmail(template, c, extra = {}) {
+  const { subject, text, html } = buildEmail(template, c, extra);
+  return getMailer().send({ to: c?.email, subject, text, html });
+}
+
+/**
+ * Send a templated email now, or hand it to the outbox if sending fails.
+ * Returns "sent" | "queued" | "failed"; never throws.
+ */
+async function deliverEmail(template, c, { extra = {}, log = console, outbox = getOutbox() } = {}) {
+  try {
+    await sendTemplateEmail(template, c, extra);
+    return "sent";
+  } catch (e) {
+    log.warn(`Email "${template}" failed, queueing for retry:`, e.message);
+    try {
+      await outbox.enqueue("send_email", { template, capture: c, extra }, { error: e.message });
+      return "queued";
+    } catch (qe) {
+      log.error(`Could not queue email "${template}":`, qe.message);
+      return "failed";
+    }
+  }
+}
+
+function deliverConfirmationEmail(c, opts) {
+  return deliverEmail("confirmation", c, opts);
+}
+
+module.exports = {
+  emailData,
+  buildEmail,
+  sendTemplateEmail,
+  deliverEmail,
+  deliverConfirmationEmail,
+};
@@ -0,0 +1,91 @@
+// host.js — run our (context, req) handlers on the Functions v4 programming model
+// ------------------------------------
+// Every function is written as `async (context, req)`: `context.log` is callable
+// (with .info / .warn / .error), the reply goes in `context.res`, and req has plain
+// headers / query / params objects and a parsed body. app.js registers them through
+// these wrappers, so the handlers (and their tests) don't depend on the host API.
+//
+// Streaming: an HTTP handler may call context.openStream({ status, headers }) and
+// write to the returned stream. The response goes out right away with that stream
+// as its body (app.setup({ enableHttpStream: true }) in app.js); the handler ends
+// the stream when it's done and context.res is ignored.
+
+const { PassThrough } = require("stream");
+
+function legacyContext(invocation) {
+  const log = (...args) => invocation.log(...args);
+  log.info = (...args) => invocation.info(...args);
+  log.warn = (...args) => invocation.warn(...args);
+  log.error = (...args) => invocation.error(...args);
+  log.verbose = (...args) => invocation.debug(...args);
+  return {
+    invocationId: invocation.invocationId,
+    executionContext: { functionName: invocation.functionName },
+    log,
+    res: null,
+  };
+}
+
+// JSON bodies are parsed whatever the content type, like the v3 host did; anything
+// else (e.g. Twilio's form posts) stays a string, and rawBody is always the text.
+async function legacyRequest(request) {
+  const rawBody = await request.text();
+  let body = rawBody || undefined;
+  try { if (rawBody) body = JSON.parse(rawBody); } catch { /* not JSON */ }
+  return {
+    method: request.method,
+    url: request.url,
+    headers: Object.fromEntries(request.headers),
+    query: Object.fromEntries(request.query),
+    params: { ...request.params },
+    body,
+    rawBody,
+  };
+}
+
+// context.res -> HttpResponseInit; object bodies are sent as JSON.
+function toResponse(res) {
+  const { status = 200, headers = {}, body } = res || {};
+  if (body === undefined || body === null) return { status, headers };
+  if (typeof body === "string" || Buffer.isBuffer(body)) return { status, headers, body };
+  return { status, headers: { "Content-Type": "application/json", ...headers }, body: JSON.stringify(body) };
+}
+
+/**
+ * app.http handler for `handler(context, req)`. Resolves with context.res once the
+ * handler finishes, or as soon as it opens a stream.
+ */
+function httpHandler(handler) {
+  return async (request, invocation) => {
+    const context = legacyContext(invocation);
+    let stream = null;
+    const opened = new Promise((resolve) => {
+      context.openStream = ({ status = 200, headers = {} } = {}) => {
+        stream = new PassThrough();
+        resolve({ status, headers, body: stream });
+        return stream;
+      };
+    });
+
+    const finished = handler(context, await legacyRequest(request)).then(
+      () => {
+        if (!stream) return toResponse(context.res);
+        if (!stream.writableEnded) stream.end();
+      },
+      (e) => {
+        if (!stream) throw e;
+        // Headers are long gone; all we can do is log and close the stream.
+        invocation.error("Streamed response failed:", e);
+        stream.end();
+      }
+    );
+    return Promise.race([opened, finished]);
+  };
+}
+
+// app.timer handler for `handler(context, timer)`.
+function timerHandler(handler) {
+  return (timer, invocation) => handler(legacyContext(invocation), timer);
+}
+
+module.exports = { httpHandler, timerHandler };
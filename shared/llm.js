@@ -0,0 +1,259 @@
+// llm.js — chat-completion providers
+// ------------------------------------
+// Every provider takes OpenAI-style { messages, tools, toolChoice, onDelta } and
+// returns an OpenAI-shaped response ({ choices: [{ message }] }), so the handler
+// doesn't care which one is configured. With `onDelta`, reply text is also passed
+// to it piece by piece as it's generated.
+//
+//   LLM_PROVIDER     openai | fake (default openai)
+//   LLM_BASE_URL     OpenAI-compatible endpoint (default https://api.openai.com/v1),
+//                    e.g. a self-hosted vLLM / Ollama / Azure OpenAI proxy
+//   LLM_API_KEY      falls back to OPENAI_API_KEY
+//   LLM_MODEL        default gpt-4o-mini
+//   LLM_TEMPERATURE  default 0.2
+//   LLM_MAX_TOKENS   optional cap on the reply
+//   LLM_FAKE_SCRIPT  fake provider: path to a JSON script (default data/llm-fake-script.json)
+//
+// Whichever provider is configured gets wrapped with a per-attempt timeout,
+// retries on 429/5xx/network errors and a circuit breaker (see resilientProvider):
+//   LLM_TIMEOUT_SECONDS            per attempt (default 15); a caller's `deadline` can shorten it
+//   LLM_RETRIES                    extra attempts after the first (default 2)
+//   LLM_RETRY_BASE_MS              first retry delay, doubled per attempt (default 500)
+//   LLM_BREAKER_THRESHOLD          consecutive failed calls that open the circuit (default 5)
+//   LLM_BREAKER_COOLDOWN_SECONDS   how long it stays open before a trial call (default 60)
+
+const fs = require("fs");
+const path = require("path");
+const fetch = require("node-fetch");
+const { readSse } = require("./sse");
+const { backoffMs } = require("./outbox");
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+const MAX_RETRY_AFTER_MS = 5000; // a longer Retry-After means "not now" — fail over instead of waiting
+
+function llmConfig() {
+  return {
+    provider: (process.env.LLM_PROVIDER || "openai").toLowerCase(),
+    baseUrl: (process.env.LLM_BASE_URL || "https://api.openai.com/v1").replace(/\/+$/, ""),
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || "",
+    model: process.env.LLM_MODEL || "gpt-4o-mini",
+    temperature: Number(process.env.LLM_TEMPERATURE ?? 0.2),
+    maxTokens: process.env.LLM_MAX_TOKENS ? Number(process.env.LLM_MAX_TOKENS) : undefined,
+  };
+}
+
+/* =====================  OpenAI / compatible  ===================== */
+function openaiProvider(config = llmConfig()) {
+  return {
+    name: "openai",
+    model: config.model,
+    async complete({ messages, tools, toolChoice = "auto", onDelta = null, signal }) {
+      const body = {
+        model: config.model,
+        temperature: config.temperature,
+        ...(config.maxTokens ? { max_tokens: config.maxTokens } : {}),
+        messages,
+        ...(tools?.length ? { tools, tool_choice: toolChoice } : {}),
+        ...(onDelta ? { stream: true } : {}),
+      };
+
+      const resp = await fetch(`${config.baseUrl}/chat/completions`, {
+        method: "POST",
+        headers: {
+          ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}),
+          "Content-Type": "application/json"
+        },
+        body: JSON.stringify(body),
+        signal
+      });
+
+      if (!resp.ok) {
+        // Upstream bodies can be long or echo the request; keep them out of anything user-facing.
+        const detail = (await resp.text().catch(() => "")).slice(0, 300);
+        const retryAfter = Number(resp.headers?.get("retry-after") ?? NaN);
+        throw Object.assign(new Error(`LLM API responded ${resp.status}: ${detail}`), {
+          status: resp.status,
+          retryAfterMs: Number.isFinite(retryAfter) && retryAfter >= 0 ? retryAfter * 1000 : undefined,
+        });
+      }
+      return onDelta ? readStreamedCompletion(resp.body, onDelta) : resp.json();
+    },
+  };
+}
+
+// Stitch a stream: true response back into the non-streamed shape.
+async function readStreamedCompletion(body, onDelta) {
+  const message = { role: "assistant", content: "", tool_calls: [] };
+  for await (const data of readSse(body)) {
+    if (data === "[DONE]") break;
+    const delta = JSON.parse(data).choices?.[0]?.delta || {};
+    if (delta.content) {
+      message.content += delta.content;
+      onDelta(delta.content);
+    }
+    for (const tc of delta.tool_calls || []) {
+      const slot = message.tool_calls[tc.index] ||= { id: "", type: "function", function: { name: "", arguments: "" } };
+      if (tc.id) slot.id = tc.id;
+      if (tc.function?.name) slot.function.name += tc.function.name;
+      if (tc.function?.arguments) slot.function.arguments += tc.function.arguments;
+    }
+  }
+  if (!message.tool_calls.length) delete message.tool_calls;
+  return { choices: [{ message }] };
+}
+
+/* =====================  Scripted fake  ===================== */
+/**
+ * Replays canned replies. A script is an array of steps:
+ *   { "when": "regex on the last user message", "content": "text" }
+ *   { "when": "…", "tool_calls": [{ "name": "capture_ticket_request", "arguments": { … } }] }
+ *   { "after_tool": "search_catalog", "content": "…" }   reply once that tool's result is in
+ *   { "when": "…", "error": 503 }         fail like the API would (exercises retries / fallback)
+ *   { "when": "…", "delay_ms": 20000 }    answer slowly (exercises the timeout)
+ * The first step whose `when` matches (steps without `when` always match) is used;
+ * right after a tool result only `after_tool` steps are considered. Steps with
+ * "once": true are consumed. With no match there's a generic reply.
+ */
+function fakeProvider({ script, file = process.env.LLM_FAKE_SCRIPT || path.join(__dirname, "..", "data", "llm-fake-script.json") } = {}) {
+  let steps = null;
+  let callCount = 0;
+  const load = () => {
+    if (!steps) steps = [...(script || JSON.parse(fs.readFileSync(file, "utf8")))];
+    return steps;
+  };
+
+  return {
+    name: "fake",
+    model: "fake",
+    async complete({ messages, onDelta = null }) {
+      const lastUser = [...messages].reverse().find(m => m.role === "user");
+      const text = String(lastUser?.content || "");
+      const last = messages[messages.length - 1];
+      const afterTool = last?.role === "tool"
+        ? messages.flatMap(m => m.tool_calls || []).find(tc => tc.id === last.tool_call_id)?.function?.name || "?"
+        : "";
+      const list = load();
+      const i = list.findIndex(s => (afterTool
+        ? s.after_tool === afterTool
+        : !s.after_tool && (!s.when || new RegExp(s.when, "i").test(text))));
+      const step = i >= 0 ? list[i]
+        : { content: afterTool ? "Here's what I found." : "Sorry, I didn't catch that — which artist or event are you after?" };
+      if (i >= 0 && step.once) list.splice(i, 1);
+      if (step.delay_ms) await new Promise(r => setTimeout(r, step.delay_ms));
+      if (step.error) throw Object.assign(new Error(`Fake LLM error ${step.error}`), { status: Number(step.error) });
+
+      const message = { role: "assistant", content: step.content || "" };
+      if (step.tool_calls) {
+        message.tool_calls = step.tool_calls.map((tc) => ({
+          id: `fake_call_${++callCount}`,
+          type: "function",
+          function: { name: tc.name, arguments: typeof tc.arguments === "string" ? tc.arguments : JSON.stringify(tc.arguments || {}) },
+        }));
+      }
+      if (onDelta && message.content) for (const word of message.content.match(/\S+\s*/g) || []) onDelta(word);
+      return { choices: [{ message }] };
+    },
+  };
+}
+
+/* =====================  Timeouts, retries, circuit breaker  ===================== */
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function isRetryable(e) {
+  if (e.circuitOpen) return false;
+  if (e.timeout || !e.status) return true; // timeouts and network errors
+  return RETRYABLE_STATUS.has(e.status);
+}
+
+/**
+ * Wrap a provider so a call never hangs and a dead upstream fails fast.
+ * complete() takes an optional `deadline` (epoch ms): attempts are cut to the
+ * time left and there's no retry that couldn't finish before it.
+ * Errors thrown from complete() carry `timeout`, `status` or `circuitOpen`;
+ * callers should treat any of them as "model unavailable".
+ */
+function resilientProvider(provider, {
+  timeoutMs = Number(process.env.LLM_TIMEOUT_SECONDS || 15) * 1000,
+  retries = Number(process.env.LLM_RETRIES ?? 2),
+  retryBaseMs = Number(process.env.LLM_RETRY_BASE_MS || 500),
+  breakerThreshold = Number(process.env.LLM_BREAKER_THRESHOLD || 5),
+  breakerCooldownMs = Number(process.env.LLM_BREAKER_COOLDOWN_SECONDS || 60) * 1000,
+} = {}) {
+  const breaker = { failures: 0, openUntil: 0, probing: false };
+
+  async function attempt(args, limitMs) {
+    const controller = new AbortController();
+    let timer;
+    const timedOut = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(Object.assign(new Error(`LLM call timed out after ${limitMs}ms`), { timeout: true }));
+      }, limitMs);
+    });
+    // An attempt that timed out may still produce text; it mustn't reach the caller.
+    const onDelta = args.onDelta && ((text) => { if (!controller.signal.aborted) args.onDelta(text); });
+    try {
+      return await Promise.race([provider.complete({ ...args, onDelta, signal: controller.signal }), timedOut]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  function recordFailure() {
+    breaker.probing = false;
+    breaker.failures++;
+    if (breaker.failures >= breakerThreshold) breaker.openUntil = Date.now() + breakerCooldownMs;
+  }
+
+  return {
+    name: provider.name,
+    model: provider.model,
+    state: () => ({ failures: breaker.failures, open: Date.now() < breaker.openUntil }),
+    async complete({ deadline = Infinity, ...args }) {
+      const remaining = () => deadline - Date.now();
+      if (remaining() <= 0) throw Object.assign(new Error("LLM turn deadline passed"), { timeout: true });
+
+      // Open: fail immediately. After the cooldown one trial call goes through
+      // (half-open); its result closes or re-opens the circuit.
+      const halfOpen = breaker.failures >= breakerThreshold;
+      if (Date.now() < breaker.openUntil || (halfOpen && breaker.probing)) {
+        throw Object.assign(new Error("LLM circuit open"), { circuitOpen: true });
+      }
+      breaker.probing = halfOpen;
+
+      // Once text has been streamed to the caller a retry would repeat it.
+      let streamed = false;
+      const onDelta = args.onDelta && ((text) => { streamed = true; args.onDelta(text); });
+
+      for (let n = 0; ; n++) {
+        try {
+          const resp = await attempt({ ...args, onDelta }, Math.min(timeoutMs, remaining()));
+          breaker.failures = 0;
+          breaker.probing = false;
+          return resp;
+        } catch (e) {
+          const wait = e.retryAfterMs ?? backoffMs(n + 1, retryBaseMs, MAX_RETRY_AFTER_MS);
+          if (n >= (halfOpen ? 0 : retries) || streamed || !isRetryable(e) || wait > MAX_RETRY_AFTER_MS || wait >= remaining()) {
+            recordFailure();
+            throw e;
+          }
+          await sleep(wait);
+        }
+      }
+    },
+  };
+}
+
+const PROVIDERS = { openai: openaiProvider, fake: fakeProvider };
+
+let provider = null;
+function getProvider() {
+  if (!provider) {
+    const config = llmConfig();
+    if (!PROVIDERS[config.provider]) throw new Error(`Unknown LLM_PROVIDER "${config.provider}"`);
+    provider = resilientProvider(PROVIDERS[config.provider](config.provider === "openai" ? config : {}));
+  }
+  return provider;
+}
+
+module.exports = { getProvider, openaiProvider, fakeProvider, resilientProvider, llmConfig };
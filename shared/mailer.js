@@ -0,0 +1,157 @@
+// mailer.js — outgoing mail transports
+// ------------------------------------
+// One mailer per process; pooled SMTP connections are reused across invocations.
+//
+//   MAIL_TRANSPORT   smtp | gmail | http | file | console | none
+//                    (default: gmail when GMAIL_USER + GMAIL_APP_PASSWORD are set, otherwise none)
+//   MAIL_FROM / MAIL_REPLY_TO / MAIL_BCC   (fall back to GMAIL_FROM / GMAIL_REPLY_TO / GMAIL_BCC)
+//
+//   smtp     SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ("true" for 465), SMTP_USER, SMTP_PASS
+//   gmail    GMAIL_USER, GMAIL_APP_PASSWORD
+//   http     MAIL_API_URL, MAIL_API_KEY — POSTs { from, to, bcc, reply_to, subject, text, html }
+//            as JSON with a bearer token (adapt at the provider side or with a small relay)
+//   file     MAIL_FILE_DIR (default $HOME/data/fte-mail-outbox): one .eml per message
+//   console  logs the message instead of sending
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const fetch = require("node-fetch");
+const nodemailer = require("nodemailer");
+
+const POOL_OPTIONS = { pool: true, maxConnections: 3, maxMessages: 100 };
+
+/* =====================  Transports  ===================== */
+// Each returns { name, send(message) } where message is nodemailer-shaped.
+function nodemailerTransport(name, options) {
+  const transporter = nodemailer.createTransport(options);
+  return {
+    name,
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    },
+    close: () => transporter.close(),
+  };
+}
+
+function smtpTransport() {
+  if (!process.env.SMTP_HOST) throw new Error("SMTP_HOST is not set");
+  return nodemailerTransport("smtp", {
+    ...POOL_OPTIONS,
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+}
+
+function gmailTransport() {
+  return nodemailerTransport("gmail", {
+    ...POOL_OPTIONS,
+    service: "gmail",
+    auth: {
+      user: process.env.GMAIL_USER,
+      pass: process.env.GMAIL_APP_PASSWORD,
+    },
+  });
+}
+
+function httpTransport({ url = process.env.MAIL_API_URL, apiKey = process.env.MAIL_API_KEY } = {}) {
+  if (!url) throw new Error("MAIL_API_URL is not set");
+  return {
+    name: "http",
+    async send(m) {
+      const resp = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({ from: m.from, to: m.to, bcc: m.bcc, reply_to: m.replyTo, subject: m.subject, text: m.text, html: m.html }),
+      });
+      if (!resp.ok) throw new Error(`Mail API responded ${resp.status}`);
+      const body = await resp.json().catch(() => ({}));
+      return { id: body.id || body.messageId || "" };
+    },
+  };
+}
+
+function fileTransport({ dir = process.env.MAIL_FILE_DIR || path.join(process.env.HOME || os.tmpdir(), "data", "fte-mail-outbox") } = {}) {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+  return {
+    name: "file",
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(3).toString("hex")}.eml`);
+      await fs.promises.writeFile(file, info.message);
+      return { id: info.messageId, file };
+    },
+  };
+}
+
+function consoleTransport({ log = console.log } = {}) {
+  return {
+    name: "console",
+    async send(m) {
+      log(`[mail] to=${m.to} subject=${JSON.stringify(m.subject)}\n${m.text}`);
+      return { id: "" };
+    },
+  };
+}
+
+function noopTransport() {
+  return { name: "none", async send() { return { id: "", skipped: true }; } };
+}
+
+const TRANSPORTS = {
+  smtp: smtpTransport,
+  gmail: gmailTransport,
+  http: httpTransport,
+  file: fileTransport,
+  console: consoleTransport,
+  none: noopTransport,
+};
+
+/* =====================  Mailer  ===================== */
+function defaultTransportName() {
+  return process.env.GMAIL_USER && process.env.GMAIL_APP_PASSWORD ? "gmail" : "none";
+}
+
+/**
+ * createMailer({ transport, from, replyTo, bcc }) -> { transport, send({ to, subject, text, html }) }
+ * Sender defaults are applied to every message.
+ */
+function createMailer({
+  transport = (process.env.MAIL_TRANSPORT || defaultTransportName()).toLowerCase(),
+  from = process.env.MAIL_FROM || process.env.GMAIL_FROM || process.env.GMAIL_USER,
+  replyTo = process.env.MAIL_REPLY_TO || process.env.GMAIL_REPLY_TO,
+  bcc = process.env.MAIL_BCC || process.env.GMAIL_BCC,
+} = {}) {
+  const make = typeof transport === "string" ? TRANSPORTS[transport] : () => transport;
+  if (!make) throw new Error(`Unknown MAIL_TRANSPORT "${transport}"`);
+  const t = make();
+
+  return {
+    transport: t.name,
+    async send(message) {
+      if (!message?.to) return { id: "", skipped: true };
+      return t.send({
+        from,
+        replyTo: replyTo || from,
+        bcc: bcc || undefined,
+        ...message,
+      });
+    },
+  };
+}
+
+let defaultMailer = null;
+function getMailer() {
+  if (!defaultMailer) defaultMailer = createMailer();
+  return defaultMailer;
+}
+
+module.exports = { createMailer, getMailer, TRANSPORTS };
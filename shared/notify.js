@@ -0,0 +1,196 @@
+// notify.js — tell the team about new requests
+// ------------------------------------
+// Every captured request is posted to the team webhook; the internal email goes
+// out right away for urgent requests and otherwise lands in a digest sent by the
+// team-digest timer function. Hand-offs from the chat (a fan asking for a person)
+// always go out immediately on every channel.
+//
+//   NOTIFY_CHANNELS        comma list of "webhook", "email" (default: none)
+//   NOTIFY_WEBHOOK_URL     incoming webhook (Slack / Mattermost / Google Chat style: POST { text })
+//   NOTIFY_EMAIL_TO        team address(es) for alerts and the digest
+//   NOTIFY_URGENT_QTY      urgent when ticket_qty >= this (default 6)
+//   NOTIFY_URGENT_BUDGET   urgent when the budget tier starts at >= this many dollars per ticket (default 500)
+//   NOTIFY_DIGEST_FILE     pending digest entries, JSON lines (default $HOME/data/fte-digest.jsonl)
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const fetch = require("node-fetch");
+const { getMailer } = require("./mailer");
+const { tierRange } = require("./budget");
+const { escapeHtml } = require("./templates");
+
+function digestFile() {
+  return process.env.NOTIFY_DIGEST_FILE || path.join(process.env.HOME || os.tmpdir(), "data", "fte-digest.jsonl");
+}
+
+function channels() {
+  return (process.env.NOTIFY_CHANNELS || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+/* =====================  Rules  ===================== */
+// Returns the reasons a request is urgent ([] when it isn't).
+function urgencyReasons(r) {
+  const reasons = [];
+  const qtyMin = Number(process.env.NOTIFY_URGENT_QTY || 6);
+  const budgetMin = Number(process.env.NOTIFY_URGENT_BUDGET || 500);
+  if (Number(r.ticket_qty) >= qtyMin) reasons.push(`${r.ticket_qty} tickets`);
+  const tier = tierRange(r.budget_tier);
+  if (tier && tier.min >= budgetMin) reasons.push(`${r.budget_tier} budget`);
+  return reasons;
+}
+
+/* =====================  Formatting  ===================== */
+const SOURCE_LABELS = { chat: "chat", form: "manual form" };
+
+function summaryLines(r, source) {
+  return [
+    ["Artist/Event", `${r.artist_or_event || "—"}${r.venue ? ` @ ${r.venue}` : ""}`],
+    ["Qty", r.ticket_qty || "—"],
+    ["Budget", r.budget_tier || "—"],
+    ["Date", r.date_or_date_range || "—"],
+    ["Contact", [r.name, r.email, r.phone].filter(Boolean).join(" · ") || "—"],
+    ["Notes", r.notes || "—"],
+    ["Source", SOURCE_LABELS[source] || source || "—"],
+    ["Request ID", r.request_id || "—"],
+    ...(r.group_id ? [["Group", r.group_id]] : []),
+  ];
+}
+
+function formatText(r, source, reasons) {
+  const head = reasons.length
+    ? `🚨 Urgent ticket request (${reasons.join(", ")})`
+    : "🎟️ New ticket request";
+  return [head, ...summaryLines(r, source).map(([k, v]) => `• ${k}: ${v}`)].join("\n");
+}
+
+function formatHtmlRows(r, source) {
+  return summaryLines(r, source)
+    .map(([k, v]) => `<tr><td style="padding:2px 8px;color:#7a7a7a;">${escapeHtml(k)}</td><td style="padding:2px 8px;">${escapeHtml(v)}</td></tr>`)
+    .join("");
+}
+
+/* =====================  Channels  ===================== */
+async function postWebhook(text) {
+  const url = process.env.NOTIFY_WEBHOOK_URL;
+  if (!url) throw new Error("NOTIFY_WEBHOOK_URL is not set");
+  const resp = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ text }),
+  });
+  if (!resp.ok) throw new Error(`Notify webhook responded ${resp.status}`);
+}
+
+async function emailTeam(subject, text, html) {
+  const to = process.env.NOTIFY_EMAIL_TO;
+  if (!to) throw new Error("NOTIFY_EMAIL_TO is not set");
+  await getMailer().send({ to, bcc: undefined, subject, text, html });
+}
+
+async function addToDigest(entry) {
+  const file = digestFile();
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.appendFile(file, JSON.stringify(entry) + "\n");
+}
+
+/**
+ * Notify the team about a newly captured request. Best-effort: failures are
+ * logged per channel and never thrown. `source` is "chat" or "form".
+ */
+async function notifyNewRequest(record, { source = "chat", log = console } = {}) {
+  const active = channels();
+  if (!active.length) return {};
+  const reasons = urgencyReasons(record);
+  const text = formatText(record, source, reasons);
+  const result = {};
+
+  for (const channel of active) {
+    try {
+      if (channel === "webhook") {
+        await postWebhook(text);
+        result.webhook = "sent";
+      } else if (channel === "email" && reasons.length) {
+        const html = `<p><strong>Urgent ticket request</strong> (${escapeHtml(reasons.join(", "))})</p><table>${formatHtmlRows(record, source)}</table>`;
+        await emailTeam(`🚨 Urgent request: ${record.artist_or_event} (${reasons.join(", ")})`, text, html);
+        result.email = "sent";
+      } else if (channel === "email") {
+        await addToDigest({ record, source, at: new Date().toISOString() });
+        result.email = "digest";
+      } else {
+        throw new Error(`Unknown notify channel "${channel}"`);
+      }
+    } catch (e) {
+      log.warn(`Team notification (${channel}) failed:`, e.message);
+      result[channel] = "failed";
+    }
+  }
+  return result;
+}
+
+/**
+ * Ask the team to take over a chat. `handoff` is { reason, summary, name, email,
+ * phone, session_id }. Best-effort like notifyNewRequest; returns per-channel
+ * results ({} when no channel is configured).
+ */
+async function notifyHandoff(handoff, { log = console } = {}) {
+  const active = channels();
+  if (!active.length) return {};
+  const lines = [
+    ["Reason", handoff.reason || "—"],
+    ["Summary", handoff.summary || "—"],
+    ["Contact", [handoff.name, handoff.email, handoff.phone].filter(Boolean).join(" · ") || "—"],
+    ["Session", handoff.session_id || "—"],
+  ];
+  const text = ["🙋 Fan asked for a person", ...lines.map(([k, v]) => `• ${k}: ${v}`)].join("\n");
+  const result = {};
+
+  for (const channel of active) {
+    try {
+      if (channel === "webhook") {
+        await postWebhook(text);
+      } else if (channel === "email") {
+        const rows = lines
+          .map(([k, v]) => `<tr><td style="padding:2px 8px;color:#7a7a7a;">${escapeHtml(k)}</td><td style="padding:2px 8px;">${escapeHtml(v)}</td></tr>`)
+          .join("");
+        await emailTeam(`🙋 Hand-off: ${handoff.reason || "fan asked for a person"}`, text, `<p><strong>Fan asked for a person</strong></p><table>${rows}</table>`);
+      } else {
+        throw new Error(`Unknown notify channel "${channel}"`);
+      }
+      result[channel] = "sent";
+    } catch (e) {
+      log.warn(`Hand-off notification (${channel}) failed:`, e.message);
+      result[channel] = "failed";
+    }
+  }
+  return result;
+}
+
+/**
+ * Email everything collected since the last digest, then clear it.
+ * Returns the number of requests included.
+ */
+async function sendDigest({ log = console } = {}) {
+  const file = digestFile();
+  const sending = `${file}.sending`;
+  // A leftover .sending file means the last send failed; retry it first.
+  if (!fs.existsSync(sending)) {
+    try { await fs.promises.rename(file, sending); } catch (e) { if (e.code === "ENOENT") return 0; throw e; }
+  }
+  const entries = (await fs.promises.readFile(sending, "utf8")).split("\n").filter(Boolean).map(l => JSON.parse(l));
+  if (!entries.length) { await fs.promises.unlink(sending); return 0; }
+
+  const text = [
+    `${entries.length} new ticket request${entries.length === 1 ? "" : "s"}:`,
+    ...entries.map(e => formatText(e.record, e.source, [])),
+  ].join("\n\n");
+  const html = `<p>${entries.length} new ticket request${entries.length === 1 ? "" : "s"}:</p>` +
+    entries.map(e => `<table style="margin-bottom:16px;">${formatHtmlRows(e.record, e.source)}</table>`).join("");
+
+  await emailTeam(`Ticket request digest: ${entries.length} new`, text, html);
+  await fs.promises.unlink(sending);
+  log.info(`Team digest sent with ${entries.length} request(s)`);
+  return entries.length;
+}
+
+module.exports = { notifyNewRequest, notifyHandoff, sendDigest, urgencyReasons, formatText };
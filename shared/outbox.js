@@ -0,0 +1,168 @@
+// outbox.js — durable retry queue for work that failed (sheet writes, emails)
+// ------------------------------------
+// Jobs are JSON files so they survive restarts; on Azure, $HOME is persistent
+// storage shared by all instances. Layout under OUTBOX_DIR:
+//   pending/<id>.json      waiting for (re)delivery
+//   processing/<id>.json   claimed by a drain run (rename = lock)
+//   dead/<id>.json         gave up after OUTBOX_MAX_ATTEMPTS
+//
+//   OUTBOX_DIR                 default $HOME/data/fte-outbox
+//   OUTBOX_MAX_ATTEMPTS        default 10
+//   OUTBOX_RETRY_BASE_SECONDS  first retry delay, doubled per attempt (default 60)
+//   OUTBOX_RETRY_MAX_SECONDS   cap on the delay (default 21600 = 6h)
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const LEASE_MS = 10 * 60 * 1000; // a claimed job older than this is assumed orphaned
+
+function defaultDir() {
+  return process.env.OUTBOX_DIR || path.join(process.env.HOME || os.tmpdir(), "data", "fte-outbox");
+}
+
+// Exponential backoff with a little jitter so a burst of failures doesn't retry in lockstep.
+function backoffMs(attempts, baseMs, maxMs) {
+  const delay = Math.min(maxMs, baseMs * 2 ** Math.max(0, attempts - 1));
+  return Math.round(delay * (0.9 + Math.random() * 0.2));
+}
+
+async function writeJson(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.promises.rename(tmp, file);
+}
+
+async function readJsonDir(dir) {
+  let names = [];
+  try { names = await fs.promises.readdir(dir); } catch (e) { if (e.code !== "ENOENT") throw e; }
+  const out = [];
+  for (const name of names.filter(n => n.endsWith(".json"))) {
+    try {
+      out.push(JSON.parse(await fs.promises.readFile(path.join(dir, name), "utf8")));
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e; // claimed by someone else meanwhile
+    }
+  }
+  return out;
+}
+
+/**
+ * createOutbox({ dir, maxAttempts, baseMs, maxMs }) -> { enqueue, drain, list }
+ * A job is { id, type, payload, attempts, createdAt, nextAttemptAt, lastError }.
+ */
+function createOutbox({
+  dir = defaultDir(),
+  maxAttempts = Number(process.env.OUTBOX_MAX_ATTEMPTS || 10),
+  baseMs = Number(process.env.OUTBOX_RETRY_BASE_SECONDS || 60) * 1000,
+  maxMs = Number(process.env.OUTBOX_RETRY_MAX_SECONDS || 21600) * 1000,
+} = {}) {
+  const dirs = {
+    pending: path.join(dir, "pending"),
+    processing: path.join(dir, "processing"),
+    dead: path.join(dir, "dead"),
+  };
+  const fileOf = (state, id) => path.join(dirs[state], `${id}.json`);
+
+  async function ensureDirs() {
+    for (const d of Object.values(dirs)) await fs.promises.mkdir(d, { recursive: true });
+  }
+
+  // First attempt already failed in the caller, so the job starts at attempts = 1.
+  async function enqueue(type, payload, { error = "" } = {}) {
+    await ensureDirs();
+    const now = Date.now();
+    const job = {
+      id: `${now.toString(36)}-${crypto.randomBytes(4).toString("hex")}`,
+      type,
+      payload,
+      attempts: 1,
+      createdAt: new Date(now).toISOString(),
+      nextAttemptAt: new Date(now + backoffMs(1, baseMs, maxMs)).toISOString(),
+      lastError: String(error || ""),
+    };
+    await writeJson(fileOf("pending", job.id), job);
+    return job;
+  }
+
+  // Put claims abandoned by a crashed run back into pending.
+  async function releaseStale(now) {
+    let names = [];
+    try { names = await fs.promises.readdir(dirs.processing); } catch { return; }
+    for (const name of names.filter(n => n.endsWith(".json"))) {
+      const file = path.join(dirs.processing, name);
+      try {
+        const { mtimeMs } = await fs.promises.stat(file);
+        if (now - mtimeMs > LEASE_MS) await fs.promises.rename(file, path.join(dirs.pending, name));
+      } catch { /* raced with another run */ }
+    }
+  }
+
+  /**
+   * Run every due job through handlers[job.type](payload, job). A handler signals
+   * failure by throwing; it may update job.payload first (e.g. to drop the sinks
+   * that did succeed) and that is what gets retried.
+   * Returns { delivered, retried, dead, skipped }.
+   */
+  async function drain(handlers, { log = console, limit = 50, now = Date.now() } = {}) {
+    await ensureDirs();
+    await releaseStale(now);
+    const due = (await readJsonDir(dirs.pending))
+      .filter(j => Date.parse(j.nextAttemptAt) <= now)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .slice(0, limit);
+
+    const stats = { delivered: 0, retried: 0, dead: 0, skipped: 0 };
+    for (const job of due) {
+      try {
+        // The lease runs from the claim: touch first, since rename keeps the mtime
+        // and a job that waited in pending would otherwise look stale at once.
+        const claimedAt = new Date();
+        await fs.promises.utimes(fileOf("pending", job.id), claimedAt, claimedAt);
+        await fs.promises.rename(fileOf("pending", job.id), fileOf("processing", job.id));
+      } catch {
+        stats.skipped++; // another instance got it
+        continue;
+      }
+
+      const handler = handlers[job.type];
+      try {
+        if (!handler) throw new Error(`No handler for outbox job type "${job.type}"`);
+        await handler(job.payload, job);
+        await fs.promises.unlink(fileOf("processing", job.id));
+        stats.delivered++;
+        log.info(`Outbox ${job.type} ${job.id} delivered after ${job.attempts + 1} attempt(s)`);
+      } catch (e) {
+        job.attempts++;
+        job.lastError = String(e?.message || e);
+        if (job.attempts >= maxAttempts) {
+          await writeJson(fileOf("dead", job.id), job);
+          stats.dead++;
+          log.error(`Outbox ${job.type} ${job.id} gave up after ${job.attempts} attempts:`, job.lastError);
+        } else {
+          job.nextAttemptAt = new Date(Date.now() + backoffMs(job.attempts, baseMs, maxMs)).toISOString();
+          await writeJson(fileOf("pending", job.id), job);
+          stats.retried++;
+          log.warn(`Outbox ${job.type} ${job.id} failed (attempt ${job.attempts}), retrying at ${job.nextAttemptAt}:`, job.lastError);
+        }
+        await fs.promises.unlink(fileOf("processing", job.id)).catch(() => {});
+      }
+    }
+    return stats;
+  }
+
+  async function list(state = "pending") {
+    return readJsonDir(dirs[state]);
+  }
+
+  return { enqueue, drain, list };
+}
+
+let defaultOutbox = null;
+function getOutbox() {
+  if (!defaultOutbox) defaultOutbox = createOutbox();
+  return defaultOutbox;
+}
+
+module.exports = { createOutbox, getOutbox, backoffMs };
@@ -0,0 +1,79 @@
+// pricing.js — price quotes behind the "how much are tickets?" intent
+// ------------------------------------
+// Our team keeps a price table per event and section (Event, Section, Min, Max,
+// Updated_At, optional Aliases like "Cubs; Wrigley") in a Google Sheets tab or a local JSON/CSV file
+// (see tables.js); quotes are aggregated across sections and cached in memory for PRICES_TTL_SECONDS.
+//
+//   PRICES_SOURCE        "sheet" | "file" (default "file")
+//   PRICES_SHEET_ID      spreadsheet ID (defaults to GOOGLE_SHEETS_ID)
+//   PRICES_SHEET_RANGE   tab range (default "Prices!A:F")
+//   PRICES_FILE          path to a .json or .csv file (default data/prices.json)
+//   PRICES_TTL_SECONDS   cache lifetime (default 900)
+
+const path = require("path");
+const { createTable, sourceFromEnv, normName } = require("./tables");
+
+const DEFAULT_FILE = path.join(__dirname, "..", "data", "prices.json");
+
+/* =====================  Price table  ===================== */
+const money = (v) => {
+  const n = parseFloat(String(v ?? "").replace(/[^\d.]/g, ""));
+  return Number.isFinite(n) ? n : null;
+};
+
+function normalizeRow(raw) {
+  const event = String(raw?.event || raw?.Event || "").trim();
+  const min = money(raw?.min ?? raw?.Min);
+  const max = money(raw?.max ?? raw?.Max) ?? min;
+  if (!event || min === null) return null;
+  return {
+    event,
+    section: String(raw?.section || raw?.Section || "").trim(),
+    min,
+    max: Math.max(min, max),
+    updatedAt: String(raw?.updated_at || raw?.Updated_At || raw?.updated || "").trim(),
+    aliases: String(raw?.aliases || raw?.Aliases || "").split(/[;,]/).map(a => a.trim()).filter(Boolean),
+  };
+}
+
+// `source` is a tables.js source of { event, section, min, max, updated_at, aliases } rows.
+function createPriceTable(source, { ttlMs = 15 * 60 * 1000, log = console } = {}) {
+  const table = createTable(source, { label: "Prices", prepare: (raw) => raw.map(normalizeRow).filter(Boolean), ttlMs, log });
+
+  /**
+   * Quote for the first event named in `text` (or in any of `hints`, e.g. the
+   * artist already captured). Returns
+   * { event, min, max, updatedAt, sections: [{ section, min, max }] } or null.
+   */
+  async function quote(text, hints = []) {
+    const rows = await table.list();
+    const haystacks = [text, ...hints].map(t => ` ${normName(t)} `);
+    // Longest names / aliases first so "Chicago Cubs" beats "Cubs"
+    const names = rows
+      .flatMap(r => [[r.event, r.event], ...r.aliases.map(a => [a, r.event])])
+      .sort((a, b) => b[0].length - a[0].length);
+    const hit = names.find(([n]) => haystacks.some(h => h.includes(` ${normName(n)} `)));
+    if (!hit) return null;
+    const event = hit[1];
+
+    const sections = rows.filter(r => r.event === event);
+    return {
+      event,
+      min: Math.min(...sections.map(r => r.min)),
+      max: Math.max(...sections.map(r => r.max)),
+      updatedAt: sections.map(r => r.updatedAt).filter(Boolean).sort().pop() || "",
+      sections: sections.map(({ section, min, max }) => ({ section, min, max })),
+    };
+  }
+
+  return { quote, invalidate: table.invalidate };
+}
+
+const priceTable = createPriceTable(sourceFromEnv("PRICES", { range: "Prices!A:F", file: DEFAULT_FILE }), {
+  ttlMs: Number(process.env.PRICES_TTL_SECONDS || 900) * 1000,
+});
+
+module.exports = {
+  quotePrice: (text, hints) => priceTable.quote(text, hints),
+  createPriceTable,
+};
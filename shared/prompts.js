@@ -0,0 +1,109 @@
+// prompts.js — versioned system prompts for the chat model
+// ------------------------------------
+// Each version is one file, <version>.md, in the prompts directory, rendered with
+// the template syntax from templates.js. Variables: everything in persona.json
+// ({{brand}}, {{short_name}}, {{city}}, {{follow_up_sla}}) plus {{{featured_shows}}},
+// the next few catalog shows one per line.
+//
+// Versions are assigned per session (a hash of the session ID), so a fan keeps
+// the same prompt for the whole conversation; captured requests record the
+// version (sheet column N) to compare capture rates. A version file is never
+// edited once it has shipped — copy it to the next version instead, so a
+// recorded version always means the same prompt.
+//   v1  intake only
+//   v2  adds the catalog, price, status and hand-off tools
+//   v3  adds multi-event requests (capture_ticket_request `items`)
+//
+//   PROMPTS_DIR            override directory (e.g. on $HOME so copy can change without a deploy);
+//                          files missing there fall back to the bundled data/prompts
+//   PROMPT_VERSION         default version (default v3); also used when there's no session ID
+//   PROMPT_EXPERIMENT      A/B split, e.g. "v1:50,v2:50" (weights; "v1,v2" splits evenly)
+//   PROMPT_PERSONA         JSON merged over persona.json
+//   PROMPT_FEATURED_SHOWS  how many upcoming shows to list (default 5, 0 = none)
+//   PROMPTS_TTL_SECONDS    how long files are cached (default 300)
+
+const crypto = require("crypto");
+const path = require("path");
+const { render, createFileReader } = require("./templates");
+const { getShows } = require("./catalog");
+const { todayISO } = require("./dates");
+
+const BUNDLED_DIR = path.join(__dirname, "..", "data", "prompts");
+const VERSION_RE = /^[A-Za-z0-9_.-]+$/;
+
+/* =====================  Files  ===================== */
+let files = null;
+function readFile(file) {
+  if (!files) {
+    files = createFileReader({ dirs: [process.env.PROMPTS_DIR, BUNDLED_DIR], ttlMs: Number(process.env.PROMPTS_TTL_SECONDS || 300) * 1000 });
+  }
+  return files.read(file);
+}
+
+function persona() {
+  let overrides = {};
+  try { overrides = process.env.PROMPT_PERSONA ? JSON.parse(process.env.PROMPT_PERSONA) : {}; } catch (e) { console.warn("PROMPT_PERSONA ignored:", e.message); }
+  return { ...JSON.parse(readFile("persona.json") || "{}"), ...overrides };
+}
+
+/* =====================  A/B assignment  ===================== */
+const defaultVersion = () => process.env.PROMPT_VERSION || "v3";
+
+// "v1:50,v2:50" -> [{ version: "v1", weight: 50 }, …]; bad entries are dropped.
+function parseExperiment(spec = process.env.PROMPT_EXPERIMENT || "") {
+  return spec.split(",")
+    .map(part => part.trim().split(":"))
+    .filter(([version]) => version && VERSION_RE.test(version))
+    .map(([version, weight]) => ({ version, weight: weight === undefined ? 1 : Number(weight) }))
+    .filter(arm => Number.isFinite(arm.weight) && arm.weight > 0);
+}
+
+/** Stable version for a session: same ID, same arm (as long as the split doesn't change). */
+function assignPromptVersion(sessionId, arms = parseExperiment()) {
+  if (!sessionId || !arms.length) return defaultVersion();
+  const total = arms.reduce((sum, a) => sum + a.weight, 0);
+  let point = crypto.createHash("sha256").update(String(sessionId)).digest().readUInt32BE(0) / 2 ** 32 * total;
+  for (const arm of arms) {
+    if (point < arm.weight) return arm.version;
+    point -= arm.weight;
+  }
+  return arms[arms.length - 1].version;
+}
+
+/* =====================  Rendering  ===================== */
+function formatShow(s) {
+  const day = new Date(s.date + "T12:00:00").toLocaleDateString("en-US", { month: "short", day: "numeric" });
+  return `  - ${s.artist} @ ${s.venue} on ${day}`;
+}
+
+async function featuredShows(limit, log) {
+  if (limit <= 0) return "";
+  try {
+    const upcoming = (await getShows()).filter(s => s.date >= todayISO()).sort((a, b) => a.date.localeCompare(b.date));
+    return upcoming.slice(0, limit).map(formatShow).join("\n");
+  } catch (e) {
+    log.warn("Catalog unavailable for featured shows:", e.message);
+    return "";
+  }
+}
+
+/**
+ * buildSystemPrompt("v2") -> { version, text }
+ * An unknown version falls back to PROMPT_VERSION (logged), so a typo in the
+ * experiment never takes the chat down; `version` is the one actually used.
+ */
+async function buildSystemPrompt(version = defaultVersion(), { log = console } = {}) {
+  let used = VERSION_RE.test(version) ? version : defaultVersion();
+  let template = readFile(`${used}.md`);
+  if (template === null && used !== defaultVersion()) {
+    log.warn(`Prompt version "${used}" not found; using ${defaultVersion()}`);
+    used = defaultVersion();
+    template = readFile(`${used}.md`);
+  }
+  if (template === null) throw new Error(`Prompt version "${used}" not found`);
+
+  const data = { ...persona(), featured_shows: await featuredShows(Number(process.env.PROMPT_FEATURED_SHOWS ?? 5), log) };
+  return { version: used, text: render(template, data).replace(/\n{3,}/g, "\n\n").trim() + "\n" };
+}
+
+module.exports = { buildSystemPrompt, assignPromptVersion, parseExperiment };
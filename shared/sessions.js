@@ -0,0 +1,127 @@
+// sessions.js — server-side chat history
+// ------------------------------------
+// The widget sends { session_id, message }; the history lives here, so clients
+// can't inject assistant turns. Sessions are cached in memory per instance and
+// optionally persisted so any instance can pick them up.
+//
+//   SESSION_STORE          memory | file (default memory)
+//   SESSION_DIR            file store directory (default $HOME/data/fte-sessions)
+//   SESSION_TTL_MINUTES    idle sessions expire after this long (default 60)
+//   SESSION_MAX_MESSAGES   history kept per session (default 100; older turns are dropped)
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const SWEEP_EVERY_MS = 10 * 60 * 1000;
+const ID_RE = /^sess_[A-Za-z0-9_-]{8,64}$/;
+
+function newSessionId() {
+  return `sess_${crypto.randomBytes(12).toString("base64url")}`;
+}
+
+/* =====================  Durable stores  ===================== */
+// { get(id), put(session), remove(id), sweep(olderThanMs) }
+function fileSessionStore({ dir = process.env.SESSION_DIR || path.join(process.env.HOME || os.tmpdir(), "data", "fte-sessions") } = {}) {
+  const fileOf = (id) => path.join(dir, `${id}.json`);
+  return {
+    async get(id) {
+      try {
+        return JSON.parse(await fs.promises.readFile(fileOf(id), "utf8"));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async put(session) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const tmp = `${fileOf(session.id)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(session));
+      await fs.promises.rename(tmp, fileOf(session.id));
+    },
+    async remove(id) {
+      await fs.promises.unlink(fileOf(id)).catch(() => {});
+    },
+    async sweep(cutoffMs) {
+      let names = [];
+      try { names = await fs.promises.readdir(dir); } catch { return; }
+      for (const name of names.filter(n => n.endsWith(".json"))) {
+        const file = path.join(dir, name);
+        const { mtimeMs } = await fs.promises.stat(file).catch(() => ({ mtimeMs: Infinity }));
+        if (mtimeMs < cutoffMs) await fs.promises.unlink(file).catch(() => {});
+      }
+    },
+  };
+}
+
+const DURABLE_STORES = {
+  memory: () => null,
+  file: fileSessionStore,
+};
+
+/* =====================  Session manager  ===================== */
+/**
+ * createSessions({ durable, ttlMs, maxMessages }) -> { load, save }
+ * A session is { id, messages, recommendations, createdAt, updatedAt }.
+ */
+function createSessions({
+  durable = null,
+  ttlMs = Number(process.env.SESSION_TTL_MINUTES || 60) * 60 * 1000,
+  maxMessages = Number(process.env.SESSION_MAX_MESSAGES || 100),
+} = {}) {
+  const memory = new Map();
+  let lastSweep = 0;
+
+  const expired = (s, now) => !s || now - Date.parse(s.updatedAt) > ttlMs;
+
+  async function sweep(now) {
+    if (now - lastSweep < SWEEP_EVERY_MS) return;
+    lastSweep = now;
+    for (const [id, s] of memory) if (expired(s, now)) memory.delete(id);
+    if (durable) await durable.sweep(now - ttlMs);
+  }
+
+  /**
+   * Returns the live session for `id`, or a fresh one (new ID) when it's
+   * missing, malformed or idle past the TTL. `resumed` tells which.
+   */
+  async function load(id) {
+    const now = Date.now();
+    let s = ID_RE.test(String(id || "")) ? memory.get(id) : null;
+    if (!s && durable && ID_RE.test(String(id || ""))) s = await durable.get(id);
+    if (s && !expired(s, now)) {
+      memory.set(s.id, s);
+      return { session: s, resumed: true };
+    }
+    if (s) {
+      memory.delete(s.id);
+      if (durable) await durable.remove(s.id);
+    }
+    const iso = new Date(now).toISOString();
+    return { session: { id: newSessionId(), messages: [], recommendations: [], createdAt: iso, updatedAt: iso }, resumed: false };
+  }
+
+  async function save(session) {
+    const now = Date.now();
+    session.updatedAt = new Date(now).toISOString();
+    if (session.messages.length > maxMessages) session.messages = session.messages.slice(-maxMessages);
+    memory.set(session.id, session);
+    if (durable) await durable.put(session);
+    await sweep(now);
+  }
+
+  return { load, save };
+}
+
+let defaultSessions = null;
+function getSessions() {
+  if (!defaultSessions) {
+    const name = (process.env.SESSION_STORE || "memory").toLowerCase();
+    if (!DURABLE_STORES[name]) throw new Error(`Unknown SESSION_STORE "${name}"`);
+    defaultSessions = createSessions({ durable: DURABLE_STORES[name]() });
+  }
+  return defaultSessions;
+}
+
+module.exports = { getSessions, createSessions, fileSessionStore, newSessionId };
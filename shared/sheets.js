@@ -0,0 +1,18 @@
+// sheets.js — Google Sheets client shared by the functions
+// ------------------------------------
+
+const { google } = require("googleapis");
+
+async function getSheetsClient() {
+  const creds = JSON.parse(process.env.GOOGLE_SHEETS_CREDENTIALS);
+  const auth = new google.auth.JWT(
+    creds.client_email,
+    null,
+    creds.private_key,
+    ["https://www.googleapis.com/auth/spreadsheets"]
+  );
+  await auth.authorize();
+  return google.sheets({ version: "v4", auth });
+}
+
+module.exports = { getSheetsClient };
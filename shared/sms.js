@@ -0,0 +1,183 @@
+// sms.js — text messages to fans who opted in
+// ------------------------------------
+// Numbers are stored in E.164 ("+13125550123"). Anyone who texts STOP is kept on
+// an opt-out list and never texted again until they text START.
+//
+//   SMS_PROVIDER           twilio | http | console | none (default none)
+//   SMS_FROM               sending number (E.164)
+//   TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN   twilio provider (token also verifies inbound webhooks)
+//   SMS_API_URL / SMS_API_KEY                http provider: POSTs { from, to, body } as JSON
+//   SMS_DEFAULT_COUNTRY_CODE   for 10-digit numbers (default 1)
+//   SMS_OPTOUT_FILE        opt-out list, JSON array (default $HOME/data/fte-sms-optout.json)
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const fetch = require("node-fetch");
+const { getOutbox } = require("./outbox");
+const { renderSms } = require("./templates");
+const { emailData } = require("./email");
+const { notifyHandoff } = require("./notify");
+
+/* =====================  Numbers  ===================== */
+// "(312) 555-0123" -> "+13125550123"; "" when it can't be a real number.
+function toE164(phone, countryCode = process.env.SMS_DEFAULT_COUNTRY_CODE || "1") {
+  const raw = String(phone || "").trim();
+  const digits = raw.replace(/\D/g, "");
+  if (raw.startsWith("+")) return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : "";
+  if (countryCode === "1") {
+    if (digits.length === 11 && digits.startsWith("1")) return `+${digits}`;
+    if (digits.length === 10 && /^[2-9]/.test(digits)) return `+1${digits}`;
+    return "";
+  }
+  const national = digits.replace(/^0/, "");
+  return national.length >= 6 && national.length + countryCode.length <= 15 ? `+${countryCode}${national}` : "";
+}
+
+/* =====================  Opt-outs  ===================== */
+function optOutFile() {
+  return process.env.SMS_OPTOUT_FILE || path.join(process.env.HOME || os.tmpdir(), "data", "fte-sms-optout.json");
+}
+
+async function readOptOuts() {
+  try {
+    return new Set(JSON.parse(await fs.promises.readFile(optOutFile(), "utf8")));
+  } catch (e) {
+    if (e.code === "ENOENT") return new Set();
+    throw e;
+  }
+}
+
+async function setOptOut(number, optedOut) {
+  const list = await readOptOuts();
+  if (optedOut) list.add(number); else list.delete(number);
+  await fs.promises.mkdir(path.dirname(optOutFile()), { recursive: true });
+  await fs.promises.writeFile(optOutFile(), JSON.stringify([...list], null, 2));
+}
+
+async function isOptedOut(number) {
+  return (await readOptOuts()).has(number);
+}
+
+/* =====================  Providers  ===================== */
+function twilioProvider() {
+  const sid = process.env.TWILIO_ACCOUNT_SID;
+  const token = process.env.TWILIO_AUTH_TOKEN;
+  return {
+    name: "twilio",
+    async send({ to, body }) {
+      const resp = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`, {
+        method: "POST",
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${sid}:${token}`).toString("base64")}`,
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body: new URLSearchParams({ From: process.env.SMS_FROM || "", To: to, Body: body }).toString(),
+      });
+      if (!resp.ok) throw new Error(`Twilio responded ${resp.status}: ${await resp.text()}`);
+      return { id: (await resp.json()).sid };
+    },
+  };
+}
+
+function httpProvider() {
+  return {
+    name: "http",
+    async send({ to, body }) {
+      if (!process.env.SMS_API_URL) throw new Error("SMS_API_URL is not set");
+      const resp = await fetch(process.env.SMS_API_URL, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(process.env.SMS_API_KEY ? { Authorization: `Bearer ${process.env.SMS_API_KEY}` } : {}),
+        },
+        body: JSON.stringify({ from: process.env.SMS_FROM, to, body }),
+      });
+      if (!resp.ok) throw new Error(`SMS API responded ${resp.status}`);
+      return { id: "" };
+    },
+  };
+}
+
+const PROVIDERS = {
+  twilio: twilioProvider,
+  http: httpProvider,
+  console: () => ({ name: "console", async send({ to, body }) { console.log(`[sms] to=${to}\n${body}`); return { id: "" }; } }),
+  none: () => ({ name: "none", async send() { return { id: "", skipped: true }; } }),
+};
+
+let provider = null;
+function getProvider() {
+  if (!provider) {
+    const name = (process.env.SMS_PROVIDER || "none").toLowerCase();
+    if (!PROVIDERS[name]) throw new Error(`Unknown SMS_PROVIDER "${name}"`);
+    provider = PROVIDERS[name]();
+  }
+  return provider;
+}
+
+/* =====================  Sending  ===================== */
+/**
+ * Text a templated message (<template>.sms.txt) to a capture's phone. Skipped
+ * without consent, without a usable number, or when the number opted out.
+ */
+async function sendTemplateSms(template, c, extra = {}) {
+  const to = toE164(c?.phone);
+  if (!c?.sms_opt_in || !to) return { skipped: "no consent or number" };
+  if (await isOptedOut(to)) return { skipped: "opted out" };
+  const body = renderSms(template, emailData(c, extra));
+  return getProvider().send({ to, body });
+}
+
+/**
+ * Send now, or queue for retry if the provider fails.
+ * Returns "sent" | "skipped" | "queued" | "failed"; never throws.
+ */
+async function deliverSms(template, c, { extra = {}, log = console, outbox = getOutbox() } = {}) {
+  try {
+    const r = await sendTemplateSms(template, c, extra);
+    return r.skipped ? "skipped" : "sent";
+  } catch (e) {
+    log.warn(`SMS "${template}" failed, queueing for retry:`, e.message);
+    try {
+      await outbox.enqueue("send_sms", { template, capture: c, extra }, { error: e.message });
+      return "queued";
+    } catch (qe) {
+      log.error(`Could not queue SMS "${template}":`, qe.message);
+      return "failed";
+    }
+  }
+}
+
+/* =====================  Inbound keywords  ===================== */
+const STOP_WORDS = ["stop", "stopall", "unsubscribe", "cancel", "end", "quit"];
+const START_WORDS = ["start", "unstop", "yes"];
+const HELP_WORDS = ["help", "info"];
+
+const HELP_REPLY = "Fair Ticket Exchange: texts about your ticket requests. Msg & data rates may apply. Reply STOP to opt out. Questions? Reply to any of our emails.";
+const STOP_REPLY = "You’re unsubscribed from Fair Ticket Exchange texts and won’t get any more messages. Reply START to resubscribe.";
+const START_REPLY = "You’re resubscribed to Fair Ticket Exchange texts. Reply STOP to opt out, HELP for help.";
+const FORWARDED_REPLY = "Thanks for your message! We’ve passed it to our team and they’ll get back to you. Reply HELP for help or STOP to opt out.";
+const UNREAD_REPLY = "Sorry, this number can’t take messages. For help with a request, reply to any of our emails. Reply HELP for help or STOP to opt out.";
+
+/**
+ * Handle an inbound text. Returns the reply to send back ("" for none).
+ * Anything that isn't a keyword goes to the team as a hand-off (shared/notify.js);
+ * the reply only promises a follow-up when that reached at least one channel.
+ */
+async function handleInbound(from, body, { log = console } = {}) {
+  const number = toE164(from);
+  const word = String(body || "").trim().toLowerCase().replace(/[^a-z]/g, "");
+  if (!number) return "";
+  if (STOP_WORDS.includes(word)) { await setOptOut(number, true); return STOP_REPLY; }
+  if (START_WORDS.includes(word)) { await setOptOut(number, false); return START_REPLY; }
+  if (HELP_WORDS.includes(word)) return HELP_REPLY;
+  const sent = await notifyHandoff({
+    reason: "Text message from a fan",
+    summary: String(body || "").trim().slice(0, 1000),
+    phone: number,
+  }, { log });
+  return Object.values(sent).includes("sent") ? FORWARDED_REPLY : UNREAD_REPLY;
+}
+
+module.exports = { toE164, sendTemplateSms, deliverSms, handleInbound, isOptedOut };
@@ -0,0 +1,34 @@
+// sse.js — server-sent events, both directions
+// ------------------------------------
+// readSse(): parse an upstream SSE body (OpenAI's stream: true responses).
+// sseEvent(): format one outgoing event for the chat endpoint's stream mode.
+
+/**
+ * Async-iterate the `data:` payloads of an SSE stream (a Node readable, e.g.
+ * node-fetch's resp.body). Multi-line data fields are joined with "\n".
+ */
+async function* readSse(body) {
+  let buffer = "";
+  let data = [];
+  for await (const chunk of body) {
+    buffer += chunk.toString("utf8");
+    let nl;
+    while ((nl = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, nl).replace(/\r$/, "");
+      buffer = buffer.slice(nl + 1);
+      if (line === "") {
+        if (data.length) yield data.join("\n");
+        data = [];
+      } else if (line.startsWith("data:")) {
+        data.push(line.slice(5).replace(/^ /, ""));
+      }
+    }
+  }
+  if (data.length) yield data.join("\n");
+}
+
+function sseEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+module.exports = { readSse, sseEvent };
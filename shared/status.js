@@ -0,0 +1,37 @@
+// status.js — request lifecycle
+// ------------------------------------
+// The team moves a request along by editing the Status column (L) in the sheet;
+// the bot only reads it. Unknown or blank cells count as "new".
+
+const STATUSES = ["new", "contacted", "options sent", "fulfilled", "closed"];
+
+const STATUS_DESCRIPTIONS = {
+  "new": "We’ve received it and it’s in the queue — our team will reach out soon.",
+  "contacted": "Our team has reached out to you. Check your inbox (and spam folder) for our email.",
+  "options sent": "We’ve sent you ticket options — reply to that email to lock one in.",
+  "fulfilled": "It’s fulfilled — your tickets are on the way or already delivered. Enjoy the show!",
+  "closed": "It’s closed. If you still need tickets, just start a new request.",
+};
+
+const REQUEST_ID_RE = /\bFTE-[A-Z0-9]{6,12}-[A-F0-9]{4}\b/i;
+
+function normalizeStatus(s) {
+  const t = String(s || "").trim().toLowerCase().replace(/[_-]+/g, " ").replace(/\s+/g, " ");
+  return STATUSES.includes(t) ? t : "new";
+}
+
+function describeStatus(status) {
+  return STATUS_DESCRIPTIONS[normalizeStatus(status)];
+}
+
+// "what's the status of my request?", "any update on my tickets?"
+function asksForStatus(text = "") {
+  const t = String(text).toLowerCase();
+  return /\bstatus\b/.test(t)
+    || REQUEST_ID_RE.test(t)
+    || /\b(any|an)\s+updates?\b.*\b(request|order|tickets?)\b/.test(t)
+    || /\b(where|what)(?:'s|’s|\s+is|\s+are)\b.*\b(my|our)\s+(request|order|tickets?)\b/.test(t)
+    || /\bhear(?:d)?\s+back\b/.test(t);
+}
+
+module.exports = { STATUSES, REQUEST_ID_RE, normalizeStatus, describeStatus, asksForStatus };
@@ -0,0 +1,394 @@
+// storage.js — where captured ticket requests are persisted
+// ------------------------------------
+// A sink is { name, save(record), findDuplicate?(record, sinceMs), mergeNotes?(dup, notes),
+// findById?(requestId) }.
+// saveRequest() dedupes against the first sink that can look records up, then
+// writes to every configured sink and reports per-sink success. Failed writes go
+// to the outbox (outbox.js) and are retried by the outbox timer function.
+// saveRequestGroup() does the same per line item of a multi-event request, one
+// row each, linked by a shared group ID.
+//
+//   STORAGE_SINKS            comma list of "sheets", "file", "webhook" (default "sheets")
+//   GOOGLE_SHEETS_ID/RANGE   sheets sink
+//   STORAGE_FILE             file sink, JSON lines (default $HOME/data/fte-requests.jsonl; kept
+//                            outside the app folder so fan details never ship in a deploy package)
+//   STORAGE_WEBHOOK_URL      webhook sink: POSTs { event, request } as JSON
+//   STORAGE_WEBHOOK_TOKEN    optional bearer token for the webhook
+//   DUPLICATE_WINDOW_HOURS   how far back a resubmission counts as a duplicate (default 24, 0 = off)
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const fetch = require("node-fetch");
+const { getSheetsClient } = require("./sheets");
+const { getOutbox } = require("./outbox");
+const { normalizeStatus } = require("./status");
+
+const DUPLICATE_WINDOW_HOURS = Number(process.env.DUPLICATE_WINDOW_HOURS || 24);
+const DUPLICATE_SCAN_ROWS = 200;
+
+// Short, sortable, human-quotable ID, e.g. FTE-MGX3K2QZ-4F1A
+function newRequestId() {
+  return `FTE-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(2).toString("hex").toUpperCase()}`;
+}
+
+// Links the rows of one multi-event request, e.g. GRP-MGX3K2QZ-9C2E (not a request ID)
+function newGroupId() {
+  return `GRP-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(2).toString("hex").toUpperCase()}`;
+}
+
+const chicagoTime = (d) => new Date(d).toLocaleString("en-US", { timeZone: "America/Chicago" });
+const normKey = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9@.]/g, "");
+
+// Same email + artist_or_event + date counts as the same request.
+function sameRequest(a, b) {
+  return normKey(a.email) === normKey(b.email)
+    && normKey(a.artist_or_event) === normKey(b.artist_or_event)
+    && normKey(a.date_or_date_range) === normKey(b.date_or_date_range);
+}
+
+/* =====================  Google Sheets sink  ===================== */
+const colNumber = (letters) => [...letters.toUpperCase()].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+function colLetters(n) {
+  let out = "";
+  for (; n > 0; n = Math.floor((n - 1) / 26)) out = String.fromCharCode(65 + ((n - 1) % 26)) + out;
+  return out;
+}
+
+// GOOGLE_SHEETS_RANGE picks the tab and first column; the width always follows
+// toRow, so an older setting like "Sheet1!A:I" keeps working as columns are added.
+function sheetRange() {
+  const configured = process.env.GOOGLE_SHEETS_RANGE || "Sheet1!A:A";
+  const [tab, cols] = configured.includes("!") ? configured.split("!") : ["", configured];
+  const start = (cols.match(/^[A-Za-z]+/) || ["A"])[0].toUpperCase();
+  return `${tab ? `${tab}!` : ""}${start}:${colLetters(colNumber(start) + toRow({}).length - 1)}`;
+}
+
+/**
+ * Unified row (A..O):
+ *  A Timestamp
+ *  B Artist_or_event
+ *  C Ticket_qty
+ *  D Budget_tier
+ *  E Date_or_date_range
+ *  F Name
+ *  G Email
+ *  H Phone
+ *  I Notes
+ *  J Request_ID
+ *  K Venue
+ *  L Status (maintained by the team; see status.js)
+ *  M SMS_Opt_In ("yes" when the fan agreed to texts)
+ *  N Prompt_Version (chat captures; see prompts.js)
+ *  O Group_ID (shared by the rows of one multi-event request)
+ */
+function toRow(c) {
+  const ts = chicagoTime(c?.created_at || Date.now());                             // A
+  const artist = c?.artist_or_event || "";                                        // B
+  const qty = Number.isFinite(c?.ticket_qty)
+    ? c.ticket_qty
+    : (parseInt(c?.ticket_qty || "", 10) || "");                                   // C
+  const budgetTier = c?.budget_tier || c?.budget || "";                            // D
+  const dateRange = c?.date_or_date_range || "";                                   // E
+  const name = c?.name || "";                                                      // F
+  const email = c?.email || "";                                                    // G
+  const phone = c?.phone ? `'${c.phone}` : "";                                     // H (quoted so "+1…" stays text)
+  const notes = c?.notes || "";                                                    // I
+  const requestId = c?.request_id || "";                                           // J
+  const venue = c?.venue || "";                                                    // K
+  const status = c?.status || "new";                                               // L
+  const smsOptIn = c?.sms_opt_in ? "yes" : "";                                     // M
+  const promptVersion = c?.prompt_version || "";                                   // N
+  const groupId = c?.group_id || "";                                               // O
+  return [ts, artist, qty, budgetTier, dateRange, name, email, phone, notes, requestId, venue, status, smsOptIn, promptVersion, groupId];
+}
+
+// Row (as read back) -> record, the inverse of toRow.
+function fromRow(row) {
+  return {
+    artist_or_event: row[1] || "", ticket_qty: row[2] || "", budget_tier: row[3] || "",
+    date_or_date_range: row[4] || "", name: row[5] || "", email: row[6] || "", phone: row[7] || "",
+    notes: row[8] || "", request_id: row[9] || "", venue: row[10] || "",
+    status: normalizeStatus(row[11]), sms_opt_in: row[12] === "yes", prompt_version: row[13] || "",
+    group_id: row[14] || "", submitted_at: row[0] || "",
+  };
+}
+
+// Wall-clock time in America/Chicago -> Date (handles CST/CDT).
+function chicagoToDate(y, mo, d, h = 0, mi = 0, sec = 0) {
+  const guess = Date.UTC(y, mo - 1, d, h, mi, sec);
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: "America/Chicago", hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit"
+  }).formatToParts(new Date(guess));
+  const get = (t) => Number(parts.find(p => p.type === t).value);
+  const asChicago = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second"));
+  return new Date(guess - (asChicago - guess));
+}
+
+// Column A as written by toRow ("9/28/2025, 7:05:12 PM") or as Sheets reformats it.
+function parseSheetTimestamp(ts) {
+  const m = String(ts || "").match(/^(\d{1,2})\/(\d{1,2})\/(\d{4}),?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?/i);
+  if (!m) return null;
+  let hour = Number(m[4]);
+  if (m[7]) hour = (hour % 12) + (/pm/i.test(m[7]) ? 12 : 0);
+  return chicagoToDate(Number(m[3]), Number(m[1]), Number(m[2]), hour, Number(m[5]), Number(m[6] || 0));
+}
+
+function sheetsSink({ spreadsheetId = process.env.GOOGLE_SHEETS_ID, range = sheetRange() } = {}) {
+  async function readRows() {
+    const sheets = await getSheetsClient();
+    const resp = await sheets.spreadsheets.values.get({ spreadsheetId, range });
+    return resp.data?.values || [];
+  }
+
+  return {
+    name: "sheets",
+
+    async save(record) {
+      const sheets = await getSheetsClient();
+      await sheets.spreadsheets.values.append({
+        spreadsheetId,
+        range,
+        valueInputOption: "USER_ENTERED",
+        requestBody: { values: [toRow(record)] },
+      });
+    },
+
+    async findDuplicate(record, sinceMs) {
+      const rows = await readRows();
+      const first = Math.max(0, rows.length - DUPLICATE_SCAN_ROWS);
+      for (let i = rows.length - 1; i >= first; i--) {
+        if (!sameRequest(fromRow(rows[i]), record)) continue;
+        const at = parseSheetTimestamp(rows[i][0]);
+        if (!at || at.getTime() < sinceMs) continue;
+        return { requestId: rows[i][9] || "", timestamp: rows[i][0], notes: rows[i][8] || "", ref: i + 1 };
+      }
+      return null;
+    },
+
+    async findById(requestId) {
+      const rows = await readRows();
+      const row = rows.reverse().find(r => normKey(r[9]) === normKey(requestId));
+      return row ? fromRow(row) : null;
+    },
+
+    // Rewrite the Notes cell (I) of the duplicate's row.
+    async mergeNotes(dup, notes) {
+      const sheets = await getSheetsClient();
+      const tab = range.split("!")[0];
+      await sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `${tab}!I${dup.ref}`,
+        valueInputOption: "USER_ENTERED",
+        requestBody: { values: [[notes]] },
+      });
+    },
+  };
+}
+
+/* =====================  Local file sink  ===================== */
+// JSON lines, one record per line — for development and offline runs.
+function fileSink({ file = process.env.STORAGE_FILE || path.join(process.env.HOME || os.tmpdir(), "data", "fte-requests.jsonl") } = {}) {
+  async function readAll() {
+    try {
+      const text = await fs.promises.readFile(file, "utf8");
+      return text.split("\n").filter(Boolean).map(l => JSON.parse(l));
+    } catch (e) {
+      if (e.code === "ENOENT") return [];
+      throw e;
+    }
+  }
+
+  return {
+    name: "file",
+
+    async save(record) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, JSON.stringify(record) + "\n");
+    },
+
+    async findDuplicate(record, sinceMs) {
+      const all = await readAll();
+      for (let i = all.length - 1; i >= 0; i--) {
+        const r = all[i];
+        if (!sameRequest(r, record) || Date.parse(r.created_at) < sinceMs) continue;
+        return { requestId: r.request_id, timestamp: chicagoTime(r.created_at), notes: r.notes || "", ref: r.request_id };
+      }
+      return null;
+    },
+
+    async findById(requestId) {
+      const r = (await readAll()).reverse().find(x => normKey(x.request_id) === normKey(requestId));
+      return r ? { ...r, status: normalizeStatus(r.status), submitted_at: chicagoTime(r.created_at) } : null;
+    },
+
+    async mergeNotes(dup, notes) {
+      const all = await readAll();
+      const out = all.map(r => (r.request_id === dup.ref ? { ...r, notes } : r));
+      await fs.promises.writeFile(file, out.map(r => JSON.stringify(r)).join("\n") + "\n");
+    },
+  };
+}
+
+/* =====================  Webhook / CRM sink  ===================== */
+function webhookSink({ url = process.env.STORAGE_WEBHOOK_URL, token = process.env.STORAGE_WEBHOOK_TOKEN } = {}) {
+  return {
+    name: "webhook",
+    async save(record) {
+      if (!url) throw new Error("STORAGE_WEBHOOK_URL is not set");
+      const resp = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: JSON.stringify({ event: "ticket_request.created", request: record }),
+      });
+      if (!resp.ok) throw new Error(`Webhook responded ${resp.status}`);
+    },
+  };
+}
+
+/* =====================  Configured sinks  ===================== */
+const SINK_FACTORIES = { sheets: sheetsSink, file: fileSink, webhook: webhookSink };
+
+function sinksFromEnv(spec = process.env.STORAGE_SINKS || "sheets") {
+  return spec.split(",").map(s => s.trim().toLowerCase()).filter(Boolean).map(name => {
+    if (!SINK_FACTORIES[name]) throw new Error(`Unknown storage sink "${name}"`);
+    return SINK_FACTORIES[name]();
+  });
+}
+
+let configuredSinks = null;
+function getSinks() {
+  if (!configuredSinks) configuredSinks = sinksFromEnv();
+  return configuredSinks;
+}
+
+/**
+ * Look for the same request within DUPLICATE_WINDOW_HOURS in the first sink that
+ * supports lookups; if found, fold any new notes into it.
+ * Returns { requestId, originalTimestamp, notesMerged } or null.
+ */
+async function findAndMergeDuplicate(capture, sinks, log) {
+  const lookup = sinks.find(s => s.findDuplicate);
+  if (!lookup || !capture?.email || !capture?.artist_or_event || DUPLICATE_WINDOW_HOURS <= 0) return null;
+
+  let dup = null;
+  try {
+    dup = await lookup.findDuplicate(capture, Date.now() - DUPLICATE_WINDOW_HOURS * 3600 * 1000);
+  } catch (e) {
+    log.warn(`Duplicate check (${lookup.name}) failed:`, e.message);
+  }
+  if (!dup) return null;
+
+  const notes = capture.notes || "";
+  let notesMerged = false;
+  if (notes && !dup.notes.toLowerCase().includes(notes.toLowerCase()) && lookup.mergeNotes) {
+    await lookup.mergeNotes(dup, dup.notes ? `${dup.notes}; ${notes}` : notes);
+    notesMerged = true;
+  }
+  return { requestId: dup.requestId, originalTimestamp: dup.timestamp, notesMerged };
+}
+
+async function writeToSinks(record, sinks, log) {
+  const settled = await Promise.allSettled(sinks.map(s => s.save(record)));
+  const results = settled.map((r, i) => ({
+    sink: sinks[i].name,
+    ok: r.status === "fulfilled",
+    error: r.status === "rejected" ? String(r.reason?.message || r.reason) : undefined,
+  }));
+  for (const r of results) if (!r.ok) log.error(`Storage sink "${r.sink}" failed:`, r.error);
+  return results;
+}
+
+/**
+ * Dedupe, then write the capture to every sink. A failed duplicate lookup never
+ * blocks the write; sinks that fail are handed to the outbox for retry. Returns
+ *   { requestId, duplicate, ok, queued, sinks: [{ sink, ok, error, queued }], originalTimestamp?, notesMerged? }
+ * where `ok` means at least one sink stored the request now and `queued` means
+ * the failed writes are safely in the outbox.
+ */
+async function saveRequest(capture, { sinks = getSinks(), outbox = getOutbox(), log = console } = {}) {
+  const dup = await findAndMergeDuplicate(capture, sinks, log);
+  if (dup) return { ...dup, duplicate: true, ok: true, queued: false, sinks: [] };
+
+  const record = { ...capture, request_id: newRequestId(), status: "new", created_at: new Date().toISOString() };
+  const results = await writeToSinks(record, sinks, log);
+
+  const failed = results.filter(r => !r.ok);
+  let queued = false;
+  if (failed.length) {
+    try {
+      await outbox.enqueue("save_request", { record, sinks: failed.map(r => r.sink) }, { error: failed[0].error });
+      failed.forEach(r => { r.queued = true; });
+      queued = true;
+    } catch (e) {
+      log.error("Could not queue failed storage writes:", e.message);
+    }
+  }
+
+  return { requestId: record.request_id, record, duplicate: false, ok: results.some(r => r.ok), queued, sinks: results };
+}
+
+/**
+ * Save several captures (same fan, different events) as one request group: each
+ * goes through saveRequest (dedupe, sinks, outbox) with a shared `group_id`.
+ * Returns { groupId, results, ok, queued } — `ok` when every item is stored,
+ * `queued` when the rest are waiting in the outbox.
+ */
+async function saveRequestGroup(captures, opts = {}) {
+  const groupId = newGroupId();
+  const results = [];
+  for (const capture of captures) results.push(await saveRequest({ ...capture, group_id: groupId }, opts));
+  return {
+    groupId,
+    results,
+    ok: results.every(r => r.ok),
+    queued: results.some(r => r.queued) && results.every(r => r.ok || r.queued),
+  };
+}
+
+/**
+ * Find a request by ID for status lookups. The email must match the one on the
+ * request, so an ID alone reveals nothing. Returns the record or null.
+ */
+async function lookupRequest(requestId, email, { sinks = getSinks() } = {}) {
+  const source = sinks.find(s => s.findById);
+  if (!source || !requestId || !email) return null;
+  const record = await source.findById(requestId);
+  if (!record || normKey(record.email) !== normKey(email)) return null;
+  return record;
+}
+
+/**
+ * Outbox handler for "save_request": retry the named sinks. Sinks that succeed
+ * are dropped from the payload so only the rest are retried next time.
+ */
+async function retrySave(payload, { log = console } = {}) {
+  const sinks = getSinks().filter(s => payload.sinks.includes(s.name));
+  const results = await writeToSinks(payload.record, sinks, log);
+  const failed = results.filter(r => !r.ok);
+  if (failed.length) {
+    payload.sinks = failed.map(r => r.sink);
+    throw new Error(failed.map(r => `${r.sink}: ${r.error}`).join("; "));
+  }
+}
+
+module.exports = {
+  saveRequest,
+  saveRequestGroup,
+  retrySave,
+  lookupRequest,
+  getSinks,
+  sinksFromEnv,
+  sheetsSink,
+  fileSink,
+  webhookSink,
+  toRow,
+  newRequestId,
+  newGroupId,
+  DUPLICATE_WINDOW_HOURS,
+};
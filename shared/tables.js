@@ -0,0 +1,113 @@
+// tables.js — ops-maintained lookup tables (show catalog, price list)
+// ------------------------------------
+// A table lives in a Google Sheets tab or a local JSON/CSV file. Each table reads
+// the same set of env vars under its own prefix (CATALOG_, PRICES_):
+//
+//   <PREFIX>_SOURCE       "sheet" | "file" (default "file")
+//   <PREFIX>_SHEET_ID     spreadsheet ID (defaults to GOOGLE_SHEETS_ID)
+//   <PREFIX>_SHEET_RANGE  tab range with a header row
+//   <PREFIX>_FILE         path to a .json or .csv file
+
+const fs = require("fs");
+const { getSheetsClient } = require("./sheets");
+
+// Lowercase words separated by single spaces, for "does this text name that event" checks.
+const normName = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+/* =====================  Parsing  ===================== */
+// Minimal RFC 4180 parser: quoted fields, doubled quotes, CRLF.
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += ch;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+// Rows of cells -> objects keyed by the lowercased header row.
+function rowsToObjects(rows) {
+  if (!rows.length) return [];
+  const header = rows[0].map(h => String(h || "").trim().toLowerCase());
+  return rows.slice(1).map(r => Object.fromEntries(header.map((h, i) => [h, r[i]])));
+}
+
+/* =====================  Sources  ===================== */
+// A source is { name, load() -> raw row objects }.
+function sheetSource({ spreadsheetId, range }) {
+  return {
+    name: "sheet",
+    async load() {
+      const sheets = await getSheetsClient();
+      const resp = await sheets.spreadsheets.values.get({ spreadsheetId, range });
+      return rowsToObjects(resp.data?.values || []);
+    },
+  };
+}
+
+function fileSource(file) {
+  return {
+    name: "file",
+    async load() {
+      const text = await fs.promises.readFile(file, "utf8");
+      return /\.csv$/i.test(file) ? rowsToObjects(parseCsv(text)) : JSON.parse(text);
+    },
+  };
+}
+
+// The source picked by <PREFIX>_SOURCE; `range` and `file` are the table's defaults.
+function sourceFromEnv(prefix, { range, file }) {
+  const env = process.env;
+  return env[`${prefix}_SOURCE`] === "sheet"
+    ? sheetSource({ spreadsheetId: env[`${prefix}_SHEET_ID`] || env.GOOGLE_SHEETS_ID, range: env[`${prefix}_SHEET_RANGE`] || range })
+    : fileSource(env[`${prefix}_FILE`] || file);
+}
+
+/* =====================  Cached table  ===================== */
+/**
+ * Wrap a source with a TTL cache; `prepare` turns raw rows into the table's records.
+ * If a reload fails, the last good list is kept; with nothing cached yet,
+ * `fallback` (if given) is tried before giving up. `label` names the table in logs.
+ */
+function createTable(source, { label, prepare = (rows) => rows, ttlMs = 15 * 60 * 1000, fallback = null, log = console }) {
+  let cache = null;
+  let loadedAt = 0;
+  let pending = null;
+
+  async function refresh() {
+    try {
+      cache = prepare((await source.load()) || []);
+      loadedAt = Date.now();
+    } catch (e) {
+      log.warn?.(`${label} (${source.name}) load failed:`, e.message);
+      if (!cache && fallback) {
+        cache = prepare((await fallback.load()) || []);
+        loadedAt = Date.now();
+      }
+      if (!cache) throw e;
+    }
+    return cache;
+  }
+
+  return {
+    async list() {
+      if (cache && Date.now() - loadedAt < ttlMs) return cache;
+      if (!pending) pending = refresh().finally(() => { pending = null; });
+      return pending;
+    },
+    invalidate() { loadedAt = 0; },
+  };
+}
+
+module.exports = { createTable, sheetSource, fileSource, sourceFromEnv, parseCsv, rowsToObjects, normName };
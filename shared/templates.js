@@ -0,0 +1,139 @@
+// templates.js — file-based transactional email (and SMS) templates
+// ------------------------------------
+// Each template is three files in the templates directory:
+//   <name>.subject.txt   one line
+//   <name>.txt           plain-text body
+//   <name>.html          HTML body, wrapped in layout.html ({{{content}}})
+// plus brand.json for shared settings (name, color, signature…), exposed as {{brand.*}}.
+// Texts use <name>.sms.txt (plain; keep them short).
+//
+// Syntax: {{var}} (HTML-escaped in .html files), {{{var}}} (raw), {{#if var}}…{{/if}},
+// {{#unless var}}…{{/unless}}, {{#each list}}…{{/each}} (the body sees each item's
+// fields plus {{index}}, 1-based; no nested each). Dotted paths work ({{brand.name}}).
+//
+//   EMAIL_TEMPLATES_DIR          override directory (e.g. on $HOME so copy can change without a deploy);
+//                                files missing there fall back to the bundled data/email-templates
+//   EMAIL_TEMPLATES_TTL_SECONDS  how long files are cached (default 300)
+//   EMAIL_BRAND                  JSON merged over brand.json
+
+const fs = require("fs");
+const path = require("path");
+
+const BUNDLED_DIR = path.join(__dirname, "..", "data", "email-templates");
+const TEMPLATE_NAMES = ["confirmation", "group_confirmation", "options_ready", "status_change", "follow_up_reminder"];
+
+/* =====================  Rendering  ===================== */
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" };
+function escapeHtml(v) {
+  return String(v ?? "").replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+function lookup(data, key) {
+  return key.split(".").reduce((o, k) => (o == null ? undefined : o[k]), data);
+}
+
+// Each-blocks first (rendered per item and set aside), then sections (innermost
+// out), then values.
+function render(template, data, { html = false } = {}) {
+  const blocks = [];
+  let out = String(template).replace(/\{\{#each\s+([\w.]+)\}\}([\s\S]*?)\{\{\/each\}\}/g, (_, key, body) => {
+    const list = lookup(data, key);
+    const rendered = (Array.isArray(list) ? list : [])
+      .map((item, i) => render(body, { ...data, ...item, index: i + 1 }, { html }))
+      .join("");
+    blocks.push(rendered);
+    return `\u0000${blocks.length - 1}\u0000`;
+  });
+  const SECTION_RE = /\{\{#(if|unless)\s+([\w.]+)\}\}((?:(?!\{\{#(?:if|unless)\s)[\s\S])*?)\{\{\/\1\}\}/g;
+  let prev;
+  do {
+    prev = out;
+    out = out.replace(SECTION_RE, (_, kind, key, body) => {
+      const truthy = Boolean(lookup(data, key));
+      return (kind === "if" ? truthy : !truthy) ? body : "";
+    });
+  } while (out !== prev);
+
+  // One pass, so values that happen to contain "{{…}}" are never expanded.
+  return out
+    .replace(/\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g, (_, raw, key) => {
+      const v = lookup(data, raw || key) ?? "";
+      return html && !raw ? escapeHtml(v) : String(v);
+    })
+    .replace(/\u0000(\d+)\u0000/g, (_, i) => blocks[i]);
+}
+
+/* =====================  Loading  ===================== */
+/**
+ * createFileReader({ dirs, ttlMs }) -> { read(file), clear() }
+ * `read` returns the file's text from the first of `dirs` that has it (an override
+ * directory, then the bundled one), or null; results are cached for ttlMs.
+ * Prompts (prompts.js) use the same reader.
+ */
+function createFileReader({ dirs, ttlMs }) {
+  const cache = new Map();
+  function read(file) {
+    const hit = cache.get(file);
+    if (hit && hit.expires > Date.now()) return hit.text;
+    let text = null;
+    for (const base of dirs.filter(Boolean)) {
+      try { text = fs.readFileSync(path.join(base, file), "utf8"); break; } catch (e) { if (e.code !== "ENOENT") throw e; }
+    }
+    cache.set(file, { text, expires: Date.now() + ttlMs });
+    return text;
+  }
+  return { read, clear: () => cache.clear() };
+}
+
+function createTemplateStore({
+  dir = process.env.EMAIL_TEMPLATES_DIR || "",
+  ttlMs = Number(process.env.EMAIL_TEMPLATES_TTL_SECONDS || 300) * 1000,
+} = {}) {
+  const files = createFileReader({ dirs: [dir, BUNDLED_DIR], ttlMs });
+  const readFile = files.read;
+
+  function brand() {
+    let overrides = {};
+    try { overrides = process.env.EMAIL_BRAND ? JSON.parse(process.env.EMAIL_BRAND) : {}; } catch (e) { console.warn("EMAIL_BRAND ignored:", e.message); }
+    return { ...JSON.parse(readFile("brand.json") || "{}"), ...overrides };
+  }
+
+  /**
+   * renderEmail("confirmation", data) -> { subject, text, html }
+   * Throws for an unknown template.
+   */
+  function renderEmail(name, data = {}) {
+    if (!/^[a-z0-9_]+$/.test(name)) throw new Error(`Invalid template name "${name}"`);
+    const subject = readFile(`${name}.subject.txt`);
+    const text = readFile(`${name}.txt`);
+    const html = readFile(`${name}.html`);
+    if (subject === null || text === null || html === null) throw new Error(`Unknown email template "${name}"`);
+
+    const ctx = { ...data, brand: brand() };
+    const layout = readFile("layout.html") || "{{{content}}}";
+    return {
+      subject: render(subject, ctx).replace(/[\r\n]+/g, " ").trim(),
+      text: render(text, ctx).trim() + "\n",
+      html: render(layout, { ...ctx, content: render(html, ctx, { html: true }) }, { html: true }),
+    };
+  }
+
+  function renderSms(name, data = {}) {
+    if (!/^[a-z0-9_]+$/.test(name)) throw new Error(`Invalid template name "${name}"`);
+    const body = readFile(`${name}.sms.txt`);
+    if (body === null) throw new Error(`Unknown SMS template "${name}"`);
+    return render(body, { ...data, brand: brand() }).replace(/\s*\n\s*/g, " ").trim();
+  }
+
+  return { renderEmail, renderSms, invalidate: files.clear };
+}
+
+let defaultStore = null;
+function store() {
+  if (!defaultStore) defaultStore = createTemplateStore();
+  return defaultStore;
+}
+const renderEmail = (name, data) => store().renderEmail(name, data);
+const renderSms = (name, data) => store().renderSms(name, data);
+
+module.exports = { renderEmail, renderSms, createTemplateStore, createFileReader, render, escapeHtml, TEMPLATE_NAMES };
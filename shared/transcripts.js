@@ -0,0 +1,125 @@
+// transcripts.js — per-turn chat logs for debugging and prompt work
+// ------------------------------------
+// One JSON line per turn: session ID, the messages the turn saw, which branch
+// answered (form, status, suggestions, price, model, scripted, direct_capture),
+// the prompt version, the model's text and tool calls, the capture and the
+// resulting request ID. Files are per day, so retention is just deleting old files.
+//
+//   TRANSCRIPT_STORE           file | none (default file)
+//   TRANSCRIPT_DIR             default $HOME/data/fte-transcripts
+//   TRANSCRIPT_REDACT          pii | none (default pii): masks emails, phone numbers and
+//                              captured names/emails/phones wherever they appear
+//   TRANSCRIPT_RETENTION_DAYS  default 30 (0 = keep forever)
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { todayISO } = require("./dates");
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const PHONE_PATTERN = /(\+?\(?\d[\d\s().-]{7,}\d)/g;
+
+/* =====================  Redaction  ===================== */
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Deep-copies `value`, masking PII in every string. `known` are exact values to mask too (e.g. the captured name).
+function redact(value, known = []) {
+  const knownRes = known
+    .map(k => String(k || "").trim())
+    .filter(k => k.length > 2)
+    .map(k => new RegExp(`\\b${escapeRe(k)}\\b`, "gi"));
+
+  const scrub = (s) => {
+    let out = s.replace(EMAIL_PATTERN, "[email]").replace(PHONE_PATTERN, (m) => (m.replace(/\D/g, "").length >= 10 ? "[phone]" : m));
+    for (const re of knownRes) out = out.replace(re, "[redacted]");
+    return out;
+  };
+  const walk = (v) => {
+    if (typeof v === "string") return scrub(v);
+    if (Array.isArray(v)) return v.map(walk);
+    if (v && typeof v === "object") return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, walk(x)]));
+    return v;
+  };
+  return walk(value);
+}
+
+/* =====================  File store  ===================== */
+function fileTranscriptStore({
+  dir = process.env.TRANSCRIPT_DIR || path.join(process.env.HOME || os.tmpdir(), "data", "fte-transcripts"),
+  retentionDays = Number(process.env.TRANSCRIPT_RETENTION_DAYS ?? 30),
+} = {}) {
+  let purgedFor = "";
+
+  // Runs at most once per day per instance, on the first write of the day.
+  async function purgeExpired(today) {
+    if (purgedFor === today || retentionDays <= 0) return;
+    purgedFor = today;
+    const cutoff = new Date(Date.parse(today) - retentionDays * 86400000).toISOString().slice(0, 10);
+    for (const name of await fs.promises.readdir(dir)) {
+      const day = name.slice(0, 10);
+      if (/^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name) && day < cutoff) await fs.promises.unlink(path.join(dir, name)).catch(() => {});
+    }
+  }
+
+  return {
+    async append(entry) {
+      const today = todayISO();
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.appendFile(path.join(dir, `${today}.jsonl`), JSON.stringify(entry) + "\n");
+      await purgeExpired(today);
+    },
+
+    // All turns for a session or a request ID (a group's or any of its items'), oldest first (scans retained days).
+    async find({ sessionId, requestId }) {
+      let names = [];
+      try { names = (await fs.promises.readdir(dir)).filter(n => n.endsWith(".jsonl")).sort(); } catch { return []; }
+      const out = [];
+      for (const name of names) {
+        const lines = (await fs.promises.readFile(path.join(dir, name), "utf8")).split("\n").filter(Boolean);
+        for (const line of lines) {
+          const e = JSON.parse(line);
+          const ids = [e.request_id, ...(e.request_ids || [])];
+          if ((sessionId && e.session_id === sessionId) || (requestId && ids.includes(requestId))) out.push(e);
+        }
+      }
+      return out;
+    },
+  };
+}
+
+const STORES = {
+  file: fileTranscriptStore,
+  none: () => ({ async append() {}, async find() { return []; } }),
+};
+
+let store = null;
+function getTranscriptStore() {
+  if (!store) {
+    const name = (process.env.TRANSCRIPT_STORE || "file").toLowerCase();
+    if (!STORES[name]) throw new Error(`Unknown TRANSCRIPT_STORE "${name}"`);
+    store = STORES[name]();
+  }
+  return store;
+}
+
+/**
+ * Record one chat turn. Best-effort: never throws.
+ * `turn` is { session_id, branch, messages, reply, tool_calls, capture, provenance, prompt_version,
+ * request_id, request_ids, status }; `request_ids` lists a group capture's item IDs.
+ * `contact` ({ name, email, phone }) is masked wherever it appears; it defaults to
+ * `turn.capture`, so pass it for group captures, where `capture` is a list.
+ */
+async function logTurn(turn, { log = console, contact = turn.capture } = {}) {
+  try {
+    const entry = { at: new Date().toISOString(), ...turn };
+    const c = contact && !Array.isArray(contact) ? contact : {};
+    const out = (process.env.TRANSCRIPT_REDACT || "pii").toLowerCase() === "none"
+      ? entry
+      : { ...redact(entry, [c.name, c.email, c.phone]), session_id: entry.session_id, request_id: entry.request_id, request_ids: entry.request_ids };
+    await getTranscriptStore().append(out);
+  } catch (e) {
+    log.warn("Transcript logging failed:", e.message);
+  }
+}
+
+module.exports = { logTurn, getTranscriptStore, fileTranscriptStore, redact };
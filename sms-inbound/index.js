@@ -0,0 +1,53 @@
+// index.js — inbound SMS webhook (STOP / START / HELP)
+// ------------------------------------
+// Point the provider's "incoming message" webhook here. Accepts Twilio's form
+// post (From, Body) or JSON { from, body }, and answers with TwiML. Other texts
+// are forwarded to the team via the hand-off channels (NOTIFY_CHANNELS).
+// With TWILIO_AUTH_TOKEN set, requests without a valid X-Twilio-Signature are rejected;
+// SMS_INBOUND_URL (the exact public URL configured at Twilio, including ?code=…) is then
+// required, and every request is rejected until it is set.
+
+const crypto = require("crypto");
+const { handleInbound } = require("../shared/sms");
+
+function parseBody(req) {
+  if (req.body && typeof req.body === "object") return req.body;
+  return Object.fromEntries(new URLSearchParams(String(req.rawBody || req.body || "")));
+}
+
+// https://www.twilio.com/docs/usage/webhooks/webhooks-security
+function validTwilioSignature(req, params, log) {
+  const token = process.env.TWILIO_AUTH_TOKEN;
+  const url = process.env.SMS_INBOUND_URL;
+  if (!token) return true;
+  if (!url) {
+    log.error("TWILIO_AUTH_TOKEN is set but SMS_INBOUND_URL isn't, so signatures can't be checked; rejecting inbound SMS");
+    return false;
+  }
+  const data = url + Object.keys(params).sort().map(k => k + params[k]).join("");
+  const expected = crypto.createHmac("sha1", token).update(data).digest("base64");
+  const got = String(req.headers?.["x-twilio-signature"] || "");
+  return got.length === expected.length && crypto.timingSafeEqual(Buffer.from(got), Buffer.from(expected));
+}
+
+const xmlEscape = (s) => String(s).replace(/[<>&'"]/g, ch => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", "\"": "&quot;" }[ch]));
+
+module.exports = async function (context, req) {
+  const params = parseBody(req);
+  if (!validTwilioSignature(req, params, context.log)) {
+    context.res = { status: 403, body: "Invalid signature" };
+    return;
+  }
+
+  let reply = "";
+  try {
+    reply = await handleInbound(params.From || params.from, params.Body || params.body, { log: context.log });
+  } catch (e) {
+    context.log.error("Inbound SMS failed:", e.message);
+  }
+  context.res = {
+    status: 200,
+    headers: { "Content-Type": "text/xml" },
+    body: `<?xml version="1.0" encoding="UTF-8"?><Response>${reply ? `<Message>${xmlEscape(reply)}</Message>` : ""}</Response>`,
+  };
+};
@@ -0,0 +1,15 @@
+// index.js — hourly team digest of new (non-urgent) requests
+// ------------------------------------
+// See shared/notify.js for channels and rules.
+
+const { sendDigest } = require("../shared/notify");
+
+module.exports = async function (context) {
+  try {
+    const count = await sendDigest({ log: context.log });
+    if (!count) context.log("Team digest: nothing new");
+  } catch (e) {
+    // Entries stay in the .sending file and go out with the next run.
+    context.log.error("Team digest failed:", e.message);
+  }
+};
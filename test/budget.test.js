@@ -0,0 +1,47 @@
+// budget.test.js — budget parsing and the default tiers
+// ------------------------------------
+
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const { normalizeBudgetTier, parseBudget, tierFor, tierRange, tiersFromBoundaries } = require("../shared/budget");
+
+test("per-ticket amounts map to tiers", () => {
+  assert.equal(normalizeBudgetTier("$1400"), "$500+");
+  assert.equal(normalizeBudgetTier("$1,400 a ticket"), "$500+");
+  assert.equal(normalizeBudgetTier("around $150"), "$150–$199");
+  assert.equal(normalizeBudgetTier("2 tickets, $75 each"), "$50–$99");
+  assert.equal(normalizeBudgetTier("1.5k"), "$500+");
+});
+
+test("ceilings, floors and ranges", () => {
+  assert.equal(normalizeBudgetTier("under $50"), "<$50");
+  assert.equal(normalizeBudgetTier("no more than 100"), "$50–$99");
+  assert.equal(normalizeBudgetTier("over 500"), "$500+");
+  assert.equal(normalizeBudgetTier("500+"), "$500+");
+  assert.equal(normalizeBudgetTier("$80-120 each"), "$100–$149");
+});
+
+test("totals are split across the tickets", () => {
+  assert.equal(normalizeBudgetTier("$300 for both"), "$150–$199");
+  assert.equal(normalizeBudgetTier("$1,400 for 4"), "$350–$399");
+  assert.equal(normalizeBudgetTier("$1400 total", { qty: 2 }), "$500+");
+  assert.equal(normalizeBudgetTier("1.5k total", { qty: 4 }), "$350–$399");
+  assert.deepEqual(parseBudget("$600 for the 3 of us"), { perTicket: 200, total: 600 });
+  // A total with no quantity anywhere can't be a per-ticket budget
+  assert.equal(normalizeBudgetTier("$600 total"), "");
+});
+
+test("tier labels pass through and non-budgets don't parse", () => {
+  assert.equal(normalizeBudgetTier("$100–$149"), "$100–$149");
+  assert.equal(normalizeBudgetTier("$100-$149"), "$100–$149");
+  assert.equal(normalizeBudgetTier("no idea yet"), "");
+  assert.equal(parseBudget(""), null);
+});
+
+test("tiers are built from boundaries", () => {
+  assert.deepEqual(tiersFromBoundaries([100, 50, 500]).map(t => t.label), ["<$50", "$50–$99", "$100–$499", "$500+"]);
+  assert.equal(tierFor(-1), "");
+  assert.equal(tierFor(99.99), "$50–$99");
+  assert.deepEqual(tierRange("$500+"), { min: 500, max: Infinity });
+  assert.equal(tierRange("cheap"), null);
+});
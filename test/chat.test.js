@@ -0,0 +1,270 @@
+// chat.test.js — the chat function end to end, offline
+// ------------------------------------
+// Runs chat/index.js with the scripted fake model (data/llm-fake-script.json),
+// the file sink and file mail in a temp directory, so nothing leaves the machine.
+// The webhook sink has no URL, so every save also exercises a failed, queued sink.
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, after } = require("node:test");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "fte-chat-test-"));
+Object.assign(process.env, {
+  HOME: tmp,
+  LLM_PROVIDER: "fake",
+  STORAGE_SINKS: "file,webhook",
+  STORAGE_WEBHOOK_URL: "",
+  STORAGE_FILE: path.join(tmp, "requests.jsonl"),
+  SESSION_STORE: "memory",
+  TRANSCRIPT_STORE: "none",
+  CATALOG_SOURCE: "file",
+  CATALOG_FILE: path.join(tmp, "shows.json"),
+  PRICES_SOURCE: "file",
+  MAIL_TRANSPORT: "file",
+  MAIL_FILE_DIR: path.join(tmp, "mail"),
+  OUTBOX_DIR: path.join(tmp, "outbox"),
+  NOTIFY_CHANNELS: "",
+  SMS_PROVIDER: "none",
+});
+
+// An empty catalog: recommendations have nothing upcoming to offer
+fs.writeFileSync(process.env.CATALOG_FILE, "[]");
+
+const chat = require("../chat/index.js");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function fakeContext(lines = []) {
+  const log = (...args) => lines.push(args.join(" "));
+  log.info = log.warn = log.error = log;
+  return { log, res: null };
+}
+
+async function post(body, headers = {}, lines = []) {
+  const context = fakeContext(lines);
+  await chat(context, { method: "POST", headers, body });
+  return context.res;
+}
+
+function savedRequests() {
+  try {
+    return fs.readFileSync(process.env.STORAGE_FILE, "utf8").split("\n").filter(Boolean).map(l => JSON.parse(l));
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+}
+
+const capture = (overrides = {}) => ({
+  artist_or_event: "Excision", ticket_qty: 2, budget_tier: "", date_or_date_range: "",
+  name: "Form Fan", email: "form.fan@example.com", phone: "", notes: "", ...overrides,
+});
+
+test("a session walks through intake and captures the request", async () => {
+  let res = await post({ message: "I want Sleep Token tickets" });
+  assert.equal(res.status, 200);
+  const sessionId = res.body.sessionId;
+  assert.ok(sessionId);
+
+  for (const message of ["2", "Test Fan, test.fan@example.com"]) {
+    res = await post({ session_id: sessionId, message });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.capture.captured, false);
+  }
+
+  const lines = [];
+  res = await post({ session_id: sessionId, message: "yes" }, {}, lines);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.capture.captured, true);
+  assert.match(res.body.capture.requestId, /^FTE-/);
+  // Sink errors (URLs, tokens) stay in the logs
+  assert.deepEqual(res.body.capture.sinks, [{ sink: "file", ok: true, queued: false }, { sink: "webhook", ok: false, queued: true }]);
+
+  const row = savedRequests().find(r => r.request_id === res.body.capture.requestId);
+  assert.equal(row.artist_or_event, "Sleep Token");
+  assert.equal(row.email, "test.fan@example.com");
+  assert.ok(fs.readdirSync(process.env.MAIL_FILE_DIR).length >= 1, "confirmation email written");
+
+  // The confirmation mentions the request ID; a thank-you after it isn't a status question.
+  res = await post({ session_id: sessionId, message: "thanks!" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, undefined);
+  assert.doesNotMatch(res.body.message, /request ID/i);
+
+  // Capture logs carry no contact details
+  const logged = lines.filter(l => l.startsWith("Capture record:")).join("\n");
+  assert.ok(logged);
+  assert.doesNotMatch(logged, /test\.fan@example\.com|Test Fan/);
+});
+
+test("a confirmed summary is captured once when the model skips the tool", async () => {
+  const messages = [
+    { role: "user", content: "I want Sleep Token tickets" },
+    { role: "assistant", content: "How many tickets?" },
+    { role: "user", content: "2" },
+    { role: "assistant", content: "What name should we put this under?" },
+    { role: "user", content: "Fallback Fan" },
+    { role: "assistant", content: "What’s the best email to reach you?" },
+    { role: "user", content: "fallback.fan@example.com" },
+    { role: "assistant", content: "Here’s what I’ve got: 2 tickets to Sleep Token for Fallback Fan (fallback.fan@example.com). Does that look right?" },
+    { role: "user", content: "that's right" },
+  ];
+  let res = await post({ messages });
+  assert.equal(res.body.capture.captured, true);
+  assert.equal(savedRequests().filter(r => r.email === "fallback.fan@example.com").length, 1);
+
+  // Our own "I've captured … we'll reach out to <email>" isn't a summary to confirm again
+  messages.push({ role: "assistant", content: res.body.message }, { role: "user", content: "that's right, thanks" });
+  res = await post({ messages });
+  assert.equal(res.body.capture.captured, false);
+  assert.equal(savedRequests().filter(r => r.email === "fallback.fan@example.com").length, 1);
+});
+
+test("legacy messages payloads keep assistant turns", async () => {
+  const messages = [];
+  let res;
+  for (const content of ["I want Sleep Token tickets", "2", "Test Fan, legacy.fan@example.com", "yes"]) {
+    messages.push({ role: "user", content });
+    res = await post({ messages });
+    assert.equal(res.status, 200);
+    messages.push({ role: "assistant", content: res.body.message });
+  }
+  assert.equal(res.body.capture.captured, true);
+  const row = savedRequests().find(r => r.request_id === res.body.capture.requestId);
+  assert.equal(row.name, "Test Fan");
+});
+
+test("a session store failure returns the JSON error reply", async () => {
+  const sessions = require("../shared/sessions").getSessions();
+  const load = sessions.load;
+  sessions.load = async () => { throw new Error("store down"); };
+  try {
+    const res = await post({ message: "hi" });
+    assert.equal(res.status, 500);
+    assert.equal(res.headers["Access-Control-Allow-Origin"], "*");
+    assert.equal(res.body.openFormHint, true);
+  } finally {
+    sessions.load = load;
+  }
+});
+
+test("status questions are answered from the stored request", async () => {
+  const saved = await post({ direct_capture: true, capture: capture({ artist_or_event: "Nghtmre" }) });
+  const { requestId } = saved.body.capture;
+
+  let res = await post({ message: "what's the status of my request?" });
+  assert.match(res.body.message, /request ID/);
+  res = await post({ session_id: res.body.sessionId, message: `${requestId}, form.fan@example.com` });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status.requestId, requestId);
+  assert.equal(res.body.status.status, "new");
+});
+
+test("direct capture validates and saves the form", async () => {
+  let res = await post({ direct_capture: true, capture: capture({ ticket_qty: 0, email: "nope" }) });
+  assert.equal(res.status, 422);
+  assert.ok(res.body.fields.ticket_qty);
+  assert.ok(res.body.fields.email);
+
+  res = await post({ direct_capture: true, capture: capture({ artist_or_event: "Atliens" }) });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.capture.captured, true);
+  assert.ok(savedRequests().some(r => r.request_id === res.body.capture.requestId && r.artist_or_event === "Atliens"));
+});
+
+test("concurrent submits with one idempotency key save once", async () => {
+  const body = { direct_capture: true, capture: capture({ artist_or_event: "John Summit" }) };
+  const headers = { "idempotency-key": "test-double-submit" };
+  const [a, b] = await Promise.all([post(body, headers), post(body, headers)]);
+  assert.equal(a.status, 200);
+  assert.equal(b.status, 200);
+  assert.equal(a.body.capture.requestId, b.body.capture.requestId);
+  assert.equal(savedRequests().filter(r => r.artist_or_event === "John Summit").length, 1);
+});
+
+test("a retried submit replays the first answer; a rejected one can be fixed and resent", async () => {
+  const headers = { "idempotency-key": "test-retry" };
+  const first = await post({ direct_capture: true, capture: capture({ artist_or_event: "Fisher" }) }, headers);
+  const retry = await post({ direct_capture: true, capture: capture({ artist_or_event: "Fisher" }) }, headers);
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(savedRequests().filter(r => r.artist_or_event === "Fisher").length, 1);
+
+  const fixKey = { "idempotency-key": "test-fix" };
+  assert.equal((await post({ direct_capture: true, capture: capture({ email: "nope" }) }, fixKey)).status, 422);
+  const fixed = await post({ direct_capture: true, capture: capture({ artist_or_event: "Dom Dolla" }) }, fixKey);
+  assert.equal(fixed.body.capture.captured, true);
+});
+
+test("price questions are quoted from the price list", async () => {
+  const res = await post({ message: "how much are Sleep Token tickets?" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.price.event, "Sleep Token");
+  assert.match(res.body.message, /\$\d+–\$\d+/);
+});
+
+test("an empty catalog says what was searched for", async () => {
+  const res = await post({ message: "any comedy shows this weekend?" });
+  assert.equal(res.status, 200);
+  assert.match(res.body.message, /^I don’t have any upcoming comedy shows this weekend on my list/);
+  assert.deepEqual(res.body.recommendations, []);
+});
+
+/* =====================  Streaming  ===================== */
+const { HttpRequest, InvocationContext } = require("@azure/functions");
+const { httpHandler } = require("../shared/host");
+
+const chatHttp = httpHandler(chat);
+
+// POST through the v4 adapter, as app.js registers it; returns the status and the parsed SSE events.
+async function postStream(body, headers = {}) {
+  const res = await chatHttp(new HttpRequest({
+    method: "POST",
+    url: "http://localhost/api/chat",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: { string: JSON.stringify(body) },
+  }), new InvocationContext({ functionName: "chat", logHandler: () => {} }));
+
+  let text = "";
+  if (typeof res.body === "string") text = res.body;
+  else for await (const chunk of res.body) text += chunk.toString("utf8");
+  const events = text.split("\n\n").filter(Boolean).map(block => ({
+    event: block.match(/^event: (.*)$/m)[1],
+    data: JSON.parse(block.match(/^data: (.*)$/m)[1]),
+  }));
+  return { status: res.status, headers: res.headers, streamed: typeof res.body !== "string", events };
+}
+
+test("stream mode sends model text as deltas, then the full reply", async () => {
+  const { status, headers, streamed, events } = await postStream({ message: "Sleep Token please", stream: true });
+  assert.equal(status, 200);
+  assert.equal(streamed, true);
+  assert.equal(headers["Content-Type"], "text/event-stream");
+  assert.equal(headers["Access-Control-Allow-Origin"], "*");
+
+  const deltas = events.filter(e => e.event === "delta");
+  assert.ok(deltas.length > 1, "the reply arrives in pieces");
+  const done = events.at(-1);
+  assert.equal(done.event, "done");
+  assert.equal(deltas.map(e => e.data.content).join(""), done.data.message);
+  assert.match(done.data.message, /How many tickets\?/);
+  assert.ok(done.data.sessionId);
+});
+
+test("a streamed retry replays only the final event", async () => {
+  const headers = { Accept: "text/event-stream", "Idempotency-Key": "test-stream-retry" };
+  const first = await postStream({ message: "Sleep Token please" }, headers);
+  const retry = await postStream({ message: "Sleep Token please" }, headers);
+  assert.deepEqual(retry.events, [first.events.at(-1)]);
+});
+
+test("a streamed request that fails validation keeps its status and ends with an error event", async () => {
+  const { status, streamed, events } = await postStream({ direct_capture: true, capture: capture({ email: "nope" }), stream: true });
+  assert.equal(status, 422);
+  assert.equal(streamed, false);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].event, "error");
+  assert.equal(events[0].data.status, 422);
+  assert.ok(events[0].data.fields.email);
+});
@@ -0,0 +1,64 @@
+// dates.test.js — natural-language date ranges, pinned to a Wednesday in Chicago
+// ------------------------------------
+
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const { resolveDateRange, formatIsoRange, todayISO } = require("../shared/dates");
+
+// Wed 2025-09-24, 10:00 in Chicago
+const NOW = new Date("2025-09-24T15:00:00Z");
+const range = (text, opts) => {
+  const r = resolveDateRange(text, NOW, opts);
+  return r && `${r.start}/${r.end}`;
+};
+
+test("relative days and weeks", () => {
+  assert.equal(range("today"), "2025-09-24/2025-09-24");
+  assert.equal(range("tomorrow night"), "2025-09-25/2025-09-25");
+  assert.equal(range("this week"), "2025-09-24/2025-09-28");
+  assert.equal(range("next week"), "2025-09-29/2025-10-05");
+  assert.equal(range("this month"), "2025-09-24/2025-09-30");
+  assert.equal(range("next month"), "2025-10-01/2025-10-31");
+});
+
+test("weekends run Friday to Sunday", () => {
+  assert.equal(range("anything this weekend?"), "2025-09-26/2025-09-28");
+  assert.equal(range("next weekend"), "2025-10-03/2025-10-05");
+  assert.equal(resolveDateRange("this weekend", new Date("2025-09-27T15:00:00Z")).start, "2025-09-27");
+});
+
+test("weekdays, and ranges between them", () => {
+  assert.equal(range("this friday"), "2025-09-26/2025-09-26");
+  assert.equal(range("next friday"), "2025-10-03/2025-10-03");
+  assert.equal(range("friday through sunday"), "2025-09-26/2025-09-28");
+  assert.equal(range("fri-sun"), "2025-09-26/2025-09-28");
+  assert.equal(range("saturday to monday"), "2025-09-27/2025-09-29");
+});
+
+test("months and calendar dates infer the next occurrence", () => {
+  assert.equal(range("sep 26-28"), "2025-09-26/2025-09-28");
+  assert.equal(range("in october"), "2025-10-01/2025-10-31");
+  assert.equal(range("in august"), "2026-08-01/2026-08-31");
+  assert.equal(range("9/20"), "2026-09-20/2026-09-20");
+  assert.equal(range("Oct 3rd, 2025"), "2025-10-03/2025-10-03");
+  assert.equal(range("sep 30 to oct 2"), "2025-09-30/2025-10-02");
+});
+
+test("words that only look like dates don't resolve", () => {
+  assert.equal(range("may I get two tickets?"), null);
+  assert.equal(range("we sat down"), null);
+  assert.equal(range("Sleep Token"), null);
+});
+
+test("exact mode rejects a phrase buried in other words", () => {
+  assert.equal(range("this weekend!", { exact: true }), "2025-09-26/2025-09-28");
+  assert.equal(range("weekend of Nov 7", { exact: true }), null);
+  assert.equal(range("2025-09-26/2025-09-28", { exact: true }), "2025-09-26/2025-09-28");
+});
+
+test("today is the Chicago date, and ranges format as ISO intervals", () => {
+  assert.equal(todayISO(new Date("2025-09-25T03:00:00Z")), "2025-09-24");
+  assert.equal(formatIsoRange({ start: "2025-09-26", end: "2025-09-28" }), "2025-09-26/2025-09-28");
+  assert.equal(formatIsoRange({ start: "2025-09-26", end: "2025-09-26" }), "2025-09-26");
+  assert.equal(formatIsoRange(null), "");
+});
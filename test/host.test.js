@@ -0,0 +1,111 @@
+// host.test.js — the v4 adapter that runs our (context, req) handlers
+// ------------------------------------
+
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const { HttpRequest, InvocationContext } = require("@azure/functions");
+const { httpHandler, timerHandler } = require("../shared/host");
+
+function invocation(lines = []) {
+  return new InvocationContext({ functionName: "test", logHandler: (level, ...args) => lines.push(`${level}: ${args.join(" ")}`) });
+}
+
+function request({ method = "POST", url = "http://localhost/api/test", headers = {}, body, params = {} } = {}) {
+  return new HttpRequest({ method, url, headers, params, ...(body === undefined ? {} : { body: { string: body } }) });
+}
+
+async function readAll(stream) {
+  let text = "";
+  for await (const chunk of stream) text += chunk.toString("utf8");
+  return text;
+}
+
+test("requests arrive in the v3 shape and object bodies go back as JSON", async () => {
+  let seen;
+  const handler = httpHandler(async (context, req) => {
+    seen = req;
+    context.log.warn("careful");
+    context.res = { status: 201, headers: { "X-Test": "1" }, body: { ok: true } };
+  });
+  const lines = [];
+  const res = await handler(request({
+    url: "http://localhost/api/requests/FTE-1/status?email=a%40b.co",
+    headers: { "Content-Type": "application/json", "Idempotency-Key": "k1" },
+    body: JSON.stringify({ message: "hi" }),
+    params: { id: "FTE-1" },
+  }), invocation(lines));
+
+  assert.equal(seen.method, "POST");
+  assert.deepEqual(seen.body, { message: "hi" });
+  assert.equal(seen.headers["idempotency-key"], "k1");
+  assert.deepEqual(seen.query, { email: "a@b.co" });
+  assert.deepEqual(seen.params, { id: "FTE-1" });
+  assert.deepEqual(lines, ["warning: careful"]);
+
+  assert.equal(res.status, 201);
+  assert.equal(res.headers["Content-Type"], "application/json");
+  assert.equal(res.headers["X-Test"], "1");
+  assert.deepEqual(JSON.parse(res.body), { ok: true });
+});
+
+test("form posts stay strings and string bodies pass through", async () => {
+  let seen;
+  const handler = httpHandler(async (context, req) => {
+    seen = req;
+    context.res = { status: 200, headers: { "Content-Type": "text/xml" }, body: "<Response></Response>" };
+  });
+  const res = await handler(request({
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: "From=%2B13125550123&Body=STOP",
+  }), invocation());
+
+  assert.equal(seen.body, "From=%2B13125550123&Body=STOP");
+  assert.equal(seen.rawBody, seen.body);
+  assert.deepEqual(res, { status: 200, headers: { "Content-Type": "text/xml" }, body: "<Response></Response>" });
+});
+
+test("a handler that opens a stream is answered before it finishes", async () => {
+  let release;
+  const blocked = new Promise(r => { release = r; });
+  const handler = httpHandler(async (context) => {
+    const out = context.openStream({ headers: { "Content-Type": "text/event-stream" } });
+    out.write("first\n");
+    await blocked;
+    out.end("last\n");
+  });
+
+  const res = await handler(request({ body: "{}" }), invocation());
+  assert.equal(res.status, 200);
+  assert.equal(res.headers["Content-Type"], "text/event-stream");
+  release();
+  assert.equal(await readAll(res.body), "first\nlast\n");
+});
+
+test("a streaming handler that throws closes the stream and logs the error", async () => {
+  const lines = [];
+  const handler = httpHandler(async (context) => {
+    context.openStream().write("partial\n");
+    await new Promise(r => setImmediate(r));
+    throw new Error("boom");
+  });
+
+  const res = await handler(request({ body: "{}" }), invocation(lines));
+  assert.equal(await readAll(res.body), "partial\n");
+  assert.match(lines.join("\n"), /error: Streamed response failed: .*boom/);
+});
+
+test("errors before a stream is opened reject as usual", async () => {
+  const handler = httpHandler(async () => { throw new Error("nope"); });
+  await assert.rejects(handler(request({ body: "{}" }), invocation()), /nope/);
+});
+
+test("timer handlers get the v3 context and the timer", async () => {
+  const lines = [];
+  let seen;
+  await timerHandler(async (context, timer) => {
+    seen = timer;
+    context.log("ran");
+  })({ isPastDue: true }, invocation(lines));
+  assert.deepEqual(seen, { isPastDue: true });
+  assert.deepEqual(lines, ["information: ran"]);
+});
@@ -0,0 +1,205 @@
+// llm.test.js — timeouts, retries, the circuit breaker and streaming around the model,
+// and the scripted intake the chat falls back to when the model is down
+// ------------------------------------
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { test, after } = require("node:test");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "fte-llm-test-"));
+const unavailableScript = path.join(tmp, "llm-down.json");
+fs.writeFileSync(unavailableScript, JSON.stringify([{ error: 503 }]));
+Object.assign(process.env, {
+  HOME: tmp,
+  LLM_PROVIDER: "fake",
+  LLM_FAKE_SCRIPT: unavailableScript,
+  LLM_RETRIES: "0",
+  STORAGE_SINKS: "file",
+  STORAGE_FILE: path.join(tmp, "requests.jsonl"),
+  SESSION_STORE: "memory",
+  TRANSCRIPT_STORE: "none",
+  CATALOG_SOURCE: "file",
+  CATALOG_FILE: path.join(tmp, "shows.json"),
+  MAIL_TRANSPORT: "none",
+  OUTBOX_DIR: path.join(tmp, "outbox"),
+  NOTIFY_CHANNELS: "",
+  SMS_PROVIDER: "none",
+});
+fs.writeFileSync(process.env.CATALOG_FILE, "[]");
+
+const { fakeProvider, openaiProvider, resilientProvider } = require("../shared/llm");
+const chat = require("../chat/index.js");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const messages = [{ role: "user", content: "hi" }];
+const fast = { retryBaseMs: 1, timeoutMs: 1000 };
+
+// A provider that fails with each given status in turn, then answers.
+function flaky(...statuses) {
+  const provider = {
+    name: "flaky",
+    calls: 0,
+    async complete() {
+      const status = statuses[provider.calls++];
+      if (status) throw Object.assign(new Error(`upstream ${status}`), { status });
+      return { choices: [{ message: { role: "assistant", content: "ok" } }] };
+    },
+  };
+  return provider;
+}
+
+/* =====================  Retries and timeouts  ===================== */
+test("429 and 5xx are retried with backoff", async () => {
+  const provider = flaky(429, 503);
+  const llm = resilientProvider(provider, { ...fast, retries: 2 });
+  const resp = await llm.complete({ messages });
+  assert.equal(resp.choices[0].message.content, "ok");
+  assert.equal(provider.calls, 3);
+});
+
+test("client errors are not retried", async () => {
+  const provider = flaky(400);
+  const llm = resilientProvider(provider, { ...fast, retries: 2 });
+  await assert.rejects(llm.complete({ messages }), { status: 400 });
+  assert.equal(provider.calls, 1);
+});
+
+test("a slow attempt times out, then the retry answers", async () => {
+  const llm = resilientProvider(fakeProvider({ script: [
+    { delay_ms: 200, content: "too late", once: true },
+    { content: "on time" },
+  ] }), { ...fast, timeoutMs: 50, retries: 1 });
+  const resp = await llm.complete({ messages });
+  assert.equal(resp.choices[0].message.content, "on time");
+});
+
+test("the caller's deadline caps the attempt and skips retries that can't finish", async () => {
+  const llm = resilientProvider(fakeProvider({ script: [{ delay_ms: 200, content: "too late" }] }), {
+    ...fast, retries: 3, retryBaseMs: 100,
+  });
+  const started = Date.now();
+  await assert.rejects(llm.complete({ messages, deadline: Date.now() + 50 }), { timeout: true });
+  assert.ok(Date.now() - started < 150, "no retry past the deadline");
+  await assert.rejects(llm.complete({ messages, deadline: Date.now() - 1 }), /deadline passed/);
+});
+
+/* =====================  Circuit breaker  ===================== */
+test("the circuit opens after repeated failures and a trial call closes it", async () => {
+  const provider = flaky(503, 503);
+  const llm = resilientProvider(provider, { ...fast, retries: 0, breakerThreshold: 2, breakerCooldownMs: 30 });
+  await assert.rejects(llm.complete({ messages }), { status: 503 });
+  await assert.rejects(llm.complete({ messages }), { status: 503 });
+  assert.equal(llm.state().open, true);
+
+  await assert.rejects(llm.complete({ messages }), { circuitOpen: true });
+  assert.equal(provider.calls, 2, "an open circuit doesn't call upstream");
+
+  await new Promise(r => setTimeout(r, 40));
+  const resp = await llm.complete({ messages });
+  assert.equal(resp.choices[0].message.content, "ok");
+  assert.deepEqual(llm.state(), { failures: 0, open: false });
+});
+
+test("a failed trial call re-opens the circuit without retrying", async () => {
+  const provider = flaky(503, 503, 503, 503);
+  const llm = resilientProvider(provider, { ...fast, retries: 2, breakerThreshold: 1, breakerCooldownMs: 30 });
+  await assert.rejects(llm.complete({ messages }), { status: 503 });
+  assert.equal(provider.calls, 3);
+  await new Promise(r => setTimeout(r, 40));
+  await assert.rejects(llm.complete({ messages }), { status: 503 });
+  assert.equal(provider.calls, 4);
+  assert.equal(llm.state().open, true);
+});
+
+/* =====================  Streaming  ===================== */
+test("streamed completions pass text along and stitch tool-call fragments", async () => {
+  const chunks = [
+    { choices: [{ delta: { role: "assistant", content: "Let me " } }] },
+    { choices: [{ delta: { content: "check." } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, id: "call_1", function: { name: "search_", arguments: "{\"que" } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, function: { name: "catalog", arguments: "ry\": \"edm\"}" } }] } }] },
+  ];
+  let seenBody;
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => { raw += c; });
+    req.on("end", () => {
+      seenBody = JSON.parse(raw);
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+      // Split mid-line to check events are reassembled across chunks
+      const body = chunks.map(c => `data: ${JSON.stringify(c)}\n\n`).join("") + "data: [DONE]\n\n";
+      res.write(body.slice(0, 25));
+      res.end(body.slice(25));
+    });
+  });
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  try {
+    const provider = openaiProvider({ baseUrl: `http://127.0.0.1:${server.address().port}`, apiKey: "", model: "test", temperature: 0 });
+    const deltas = [];
+    const resp = await provider.complete({ messages, onDelta: (t) => deltas.push(t) });
+    assert.equal(seenBody.stream, true);
+    assert.deepEqual(deltas, ["Let me ", "check."]);
+    assert.deepEqual(resp.choices[0].message, {
+      role: "assistant",
+      content: "Let me check.",
+      tool_calls: [{ id: "call_1", type: "function", function: { name: "search_catalog", arguments: '{"query": "edm"}' } }],
+    });
+  } finally {
+    server.close();
+  }
+});
+
+test("a call that fails after streaming text is not retried", async () => {
+  const provider = {
+    name: "half",
+    calls: 0,
+    async complete({ onDelta }) {
+      provider.calls++;
+      onDelta("Hello ");
+      throw Object.assign(new Error("connection reset"), { status: 502 });
+    },
+  };
+  const llm = resilientProvider(provider, { ...fast, retries: 2 });
+  const deltas = [];
+  await assert.rejects(llm.complete({ messages, onDelta: (t) => deltas.push(t) }), { status: 502 });
+  assert.equal(provider.calls, 1);
+  assert.deepEqual(deltas, ["Hello "]);
+});
+
+test("text from an attempt that timed out is dropped", async () => {
+  const llm = resilientProvider(fakeProvider({ script: [
+    { delay_ms: 100, content: "too late", once: true },
+    { content: "on time" },
+  ] }), { ...fast, timeoutMs: 30, retries: 1 });
+  const deltas = [];
+  await llm.complete({ messages, onDelta: (t) => deltas.push(t) });
+  await new Promise(r => setTimeout(r, 100));
+  assert.deepEqual(deltas, ["on ", "time"]);
+});
+
+/* =====================  Degraded chat  ===================== */
+async function post(body) {
+  const log = () => {};
+  log.info = log.warn = log.error = log;
+  const context = { log, res: null };
+  await chat(context, { method: "POST", headers: {}, body });
+  return context.res;
+}
+
+test("with the model down the chat asks for fields one at a time and hints at the form", async () => {
+  let res = await post({ message: "hi" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.degraded, true);
+  assert.equal(res.body.openFormHint, true);
+  assert.match(res.body.message, /basic mode/);
+  assert.doesNotMatch(res.body.message, /503|Error/);
+
+  res = await post({ session_id: res.body.sessionId, message: "2 tickets for Sleep Token" });
+  assert.equal(res.body.degraded, true);
+  assert.doesNotMatch(res.body.message, /basic mode/);
+  assert.match(res.body.message, /\?$/);
+});
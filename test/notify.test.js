@@ -0,0 +1,115 @@
+// notify.test.js — team alerts and the digest, with mail written to a temp directory
+// ------------------------------------
+// The webhook channel posts to a local HTTP stub.
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { test, after } = require("node:test");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "fte-notify-test-"));
+Object.assign(process.env, {
+  HOME: tmp,
+  NOTIFY_CHANNELS: "email",
+  NOTIFY_EMAIL_TO: "team@example.com",
+  NOTIFY_DIGEST_FILE: path.join(tmp, "digest.jsonl"),
+  MAIL_TRANSPORT: "file",
+  MAIL_FILE_DIR: path.join(tmp, "mail"),
+});
+
+const { notifyNewRequest, notifyHandoff, sendDigest, urgencyReasons } = require("../shared/notify");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const quiet = { info() {}, warn() {}, error() {} };
+const mails = () => {
+  const dir = process.env.MAIL_FILE_DIR;
+  return fs.existsSync(dir) ? fs.readdirSync(dir).map(f => fs.readFileSync(path.join(dir, f), "utf8")) : [];
+};
+const request = (overrides = {}) => ({
+  request_id: "FTE-TEST-0001", artist_or_event: "Excision", ticket_qty: 2, budget_tier: "$100–$149",
+  name: "Test Fan", email: "test.fan@example.com", ...overrides,
+});
+
+test("urgency rules", () => {
+  assert.deepEqual(urgencyReasons(request()), []);
+  assert.equal(urgencyReasons(request({ ticket_qty: 8 })).length, 1);
+  assert.equal(urgencyReasons(request({ budget_tier: "$500+" })).length, 1);
+});
+
+test("routine requests wait for the digest, urgent ones are emailed now", async () => {
+  assert.deepEqual(await notifyNewRequest(request(), { log: quiet }), { email: "digest" });
+  assert.deepEqual(await notifyNewRequest(request({ request_id: "FTE-TEST-0002", artist_or_event: "Atliens" }), { log: quiet }), { email: "digest" });
+  assert.equal(mails().length, 0);
+
+  assert.deepEqual(await notifyNewRequest(request({ request_id: "FTE-TEST-0003", ticket_qty: 10 }), { log: quiet }), { email: "sent" });
+  assert.equal(mails().length, 1);
+  assert.match(mails()[0], /Urgent ticket request \(10 tickets\)/);
+});
+
+test("the digest sends everything pending once", async () => {
+  assert.equal(await sendDigest({ log: quiet }), 2);
+  assert.ok(mails().some(m => /2 new ticket requests/.test(m) && /FTE-TEST-0001/.test(m) && /FTE-TEST-0002/.test(m)));
+  assert.equal(fs.existsSync(process.env.NOTIFY_DIGEST_FILE), false);
+  assert.equal(await sendDigest({ log: quiet }), 0);
+});
+
+test("hand-offs go to the team", async () => {
+  const before = mails().length;
+  assert.deepEqual(await notifyHandoff({ reason: "Asked for a person", summary: "Refund", email: "test.fan@example.com" }, { log: quiet }), { email: "sent" });
+  assert.equal(mails().length, before + 1);
+});
+
+// A local stand-in for the chat webhook: records each POSTed body, answers `status`.
+async function webhookStub(status = 200) {
+  const posts = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      posts.push({ method: req.method, type: req.headers["content-type"], body: JSON.parse(body) });
+      res.writeHead(status).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return { posts, url: `http://127.0.0.1:${server.address().port}/hook`, close: () => new Promise(r => server.close(r)) };
+}
+
+async function withWebhook(status, fn) {
+  const stub = await webhookStub(status);
+  const saved = { ...process.env };
+  Object.assign(process.env, { NOTIFY_CHANNELS: "webhook", NOTIFY_WEBHOOK_URL: stub.url });
+  try {
+    await fn(stub);
+  } finally {
+    process.env.NOTIFY_CHANNELS = saved.NOTIFY_CHANNELS;
+    delete process.env.NOTIFY_WEBHOOK_URL;
+    await stub.close();
+  }
+}
+
+test("the webhook gets a formatted summary of each request", async () => {
+  await withWebhook(200, async ({ posts }) => {
+    const result = await notifyNewRequest(request({ ticket_qty: 6, notes: "aisle seats", phone: "+13125550123" }), { source: "form", log: quiet });
+    assert.deepEqual(result, { webhook: "sent" });
+    assert.equal(posts.length, 1);
+    assert.equal(posts[0].method, "POST");
+    assert.equal(posts[0].type, "application/json");
+    const { text } = posts[0].body;
+    assert.match(text, /^🚨 Urgent ticket request \(6 tickets\)/);
+    for (const line of ["• Artist/Event: Excision", "• Qty: 6", "• Budget: $100–$149", "• Notes: aisle seats",
+      "• Contact: Test Fan · test.fan@example.com · +13125550123", "• Source: manual form", "• Request ID: FTE-TEST-0001"]) {
+      assert.ok(text.includes(line), line);
+    }
+  });
+});
+
+test("a failing webhook is reported, not thrown", async () => {
+  await withWebhook(500, async ({ posts }) => {
+    assert.deepEqual(await notifyNewRequest(request(), { log: quiet }), { webhook: "failed" });
+    assert.deepEqual(await notifyHandoff({ reason: "Asked for a person" }, { log: quiet }), { webhook: "failed" });
+    assert.equal(posts.length, 2);
+  });
+});
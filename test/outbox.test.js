@@ -0,0 +1,92 @@
+// outbox.test.js — claiming, retrying and leasing queued jobs
+// ------------------------------------
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, after } = require("node:test");
+const { createOutbox, backoffMs } = require("../shared/outbox");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "fte-outbox-test-"));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const quiet = { info() {}, warn() {}, error() {} };
+let n = 0;
+const freshOutbox = (opts = {}) => {
+  const dir = path.join(tmp, String(n++));
+  return { dir, outbox: createOutbox({ dir, baseMs: 1000, maxMs: 4000, maxAttempts: 3, ...opts }) };
+};
+// Jobs are first due after the base delay
+const later = () => Date.now() + 60 * 1000;
+
+test("backoff doubles per attempt up to the cap", () => {
+  for (let i = 0; i < 20; i++) {
+    const first = backoffMs(1, 1000, 8000), third = backoffMs(3, 1000, 8000), tenth = backoffMs(10, 1000, 8000);
+    assert.ok(first >= 900 && first <= 1100);
+    assert.ok(third >= 3600 && third <= 4400);
+    assert.ok(tenth <= 8800);
+  }
+});
+
+test("a due job is delivered once and removed", async () => {
+  const { outbox } = freshOutbox();
+  await outbox.enqueue("send_email", { to: "a" });
+  const seen = [];
+  assert.deepEqual(await outbox.drain({ send_email: (p) => seen.push(p) }, { log: quiet }), { delivered: 0, retried: 0, dead: 0, skipped: 0 });
+
+  const stats = await outbox.drain({ send_email: (p) => seen.push(p) }, { log: quiet, now: later() });
+  assert.equal(stats.delivered, 1);
+  assert.deepEqual(seen, [{ to: "a" }]);
+  assert.deepEqual(await outbox.list(), []);
+});
+
+test("failures are retried with the handler's payload, then dead-lettered", async () => {
+  const { outbox } = freshOutbox();
+  await outbox.enqueue("save_request", { sinks: ["sheets", "file"] }, { error: "boom" });
+  const failing = { save_request: (p) => { p.sinks = ["sheets"]; throw new Error("still down"); } };
+
+  let stats = await outbox.drain(failing, { log: quiet, now: later() });
+  assert.equal(stats.retried, 1);
+  const [job] = await outbox.list();
+  assert.equal(job.attempts, 2);
+  assert.deepEqual(job.payload.sinks, ["sheets"]);
+  assert.equal(job.lastError, "still down");
+
+  stats = await outbox.drain(failing, { log: quiet, now: later() + 10 * 1000 });
+  assert.equal(stats.dead, 1);
+  assert.deepEqual(await outbox.list(), []);
+  assert.equal((await outbox.list("dead"))[0].attempts, 3);
+});
+
+test("a job that waited past the lease isn't released while it's being sent", async () => {
+  const { dir, outbox } = freshOutbox();
+  const job = await outbox.enqueue("send_email", {});
+  const old = new Date(Date.now() - 60 * 60 * 1000);
+  fs.utimesSync(path.join(dir, "pending", `${job.id}.json`), old, old);
+
+  let calls = 0;
+  let release;
+  const blocked = new Promise(r => { release = r; });
+  const handlers = { send_email: async () => { if (++calls === 1) await blocked; } };
+  const first = outbox.drain(handlers, { log: quiet, now: later() });
+  await new Promise(r => setTimeout(r, 20));
+
+  const second = await outbox.drain(handlers, { log: quiet, now: later() }).finally(release);
+  assert.equal((await first).delivered, 1);
+  assert.equal(second.delivered, 0);
+  assert.equal(calls, 1);
+});
+
+test("a claim abandoned past the lease goes back to pending", async () => {
+  const { dir, outbox } = freshOutbox();
+  const job = await outbox.enqueue("send_email", {});
+  const claimed = path.join(dir, "processing", `${job.id}.json`);
+  fs.renameSync(path.join(dir, "pending", `${job.id}.json`), claimed);
+  const old = new Date(Date.now() - 60 * 60 * 1000);
+  fs.utimesSync(claimed, old, old);
+
+  const stats = await outbox.drain({ send_email: () => {} }, { log: quiet, now: later() });
+  assert.equal(stats.delivered, 1);
+  assert.equal(fs.existsSync(claimed), false);
+});
@@ -0,0 +1,63 @@
+// pricing.test.js — price quotes and the shared table loader behind them
+// ------------------------------------
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, after } = require("node:test");
+const { createPriceTable } = require("../shared/pricing");
+const { fileSource, parseCsv, rowsToObjects } = require("../shared/tables");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "fte-pricing-test-"));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const quiet = { warn() {} };
+const rowsSource = (rows) => ({ name: "test", calls: 0, async load() { this.calls++; return typeof rows === "function" ? rows() : rows; } });
+
+test("CSV cells with quotes, commas and CRLF become header-keyed rows", () => {
+  const rows = rowsToObjects(parseCsv('Event,Section,Min,Max\r\n"Cubs, Bleachers",GA,"$40",60\r\n\r\n"Say ""Hi""",Floor,10,\n'));
+  assert.deepEqual(rows, [
+    { event: "Cubs, Bleachers", section: "GA", min: "$40", max: "60" },
+    { event: 'Say "Hi"', section: "Floor", min: "10", max: "" },
+  ]);
+});
+
+test("quotes aggregate sections and prefer the longest name or alias", async () => {
+  const table = createPriceTable(rowsSource([
+    { event: "Chicago Cubs", section: "Bleachers", min: "$40", max: "$90", updated_at: "2026-09-01", aliases: "Cubs; Wrigley" },
+    { event: "Chicago Cubs", section: "Infield", min: 75, max: 210, updated_at: "2026-09-10" },
+    { event: "Cubs Tribute Band", section: "GA", min: 20 },
+    { event: "", min: 5 },
+  ]), { log: quiet });
+
+  const quote = await table.quote("how much for wrigley?");
+  assert.deepEqual(quote, {
+    event: "Chicago Cubs", min: 40, max: 210, updatedAt: "2026-09-10",
+    sections: [{ section: "Bleachers", min: 40, max: 90 }, { section: "Infield", min: 75, max: 210 }],
+  });
+  assert.equal((await table.quote("cubs tribute band tickets")).event, "Cubs Tribute Band");
+  assert.equal((await table.quote("how much?", ["Chicago Cubs"])).event, "Chicago Cubs");
+  assert.equal(await table.quote("how much are Dua Lipa tickets?"), null);
+});
+
+test("the table is cached for the TTL and keeps its last good copy when a reload fails", async () => {
+  let fail = false;
+  const source = rowsSource(() => { if (fail) throw new Error("sheet down"); return [{ event: "Excision", min: 80, max: 150 }]; });
+  const table = createPriceTable(source, { ttlMs: 60_000, log: quiet });
+  await table.quote("excision");
+  await table.quote("excision");
+  assert.equal(source.calls, 1);
+
+  fail = true;
+  table.invalidate();
+  assert.equal((await table.quote("excision")).max, 150);
+  assert.equal(source.calls, 2);
+});
+
+test("a file source reads JSON or CSV", async () => {
+  const csv = path.join(tmp, "prices.csv");
+  fs.writeFileSync(csv, "Event,Section,Min,Max\nSleep Token,Floor,185,340\n");
+  const table = createPriceTable(fileSource(csv), { log: quiet });
+  assert.equal((await table.quote("sleep token")).min, 185);
+});
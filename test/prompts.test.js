@@ -0,0 +1,62 @@
+// prompts.test.js — prompt A/B assignment and the override directory
+// ------------------------------------
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, after } = require("node:test");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "fte-prompts-test-"));
+fs.writeFileSync(path.join(tmp, "shows.json"), "[]");
+fs.writeFileSync(path.join(tmp, "v9.md"), "Experimental prompt for {{brand}}.");
+Object.assign(process.env, {
+  PROMPTS_DIR: tmp,
+  PROMPT_VERSION: "v3",
+  CATALOG_SOURCE: "file",
+  CATALOG_FILE: path.join(tmp, "shows.json"),
+});
+
+const { buildSystemPrompt, assignPromptVersion, parseExperiment } = require("../shared/prompts");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const quiet = { warn() {} };
+
+test("experiment specs parse weights and drop bad arms", () => {
+  assert.deepEqual(parseExperiment("v1:30, v2:70"), [{ version: "v1", weight: 30 }, { version: "v2", weight: 70 }]);
+  assert.deepEqual(parseExperiment("v1,v2"), [{ version: "v1", weight: 1 }, { version: "v2", weight: 1 }]);
+  assert.deepEqual(parseExperiment("v1:0,../x:5,v2:abc,v3:2"), [{ version: "v3", weight: 2 }]);
+  assert.deepEqual(parseExperiment(""), []);
+});
+
+test("a session keeps its arm, and arms follow their weights", () => {
+  const arms = parseExperiment("v1:25,v2:75");
+  assert.equal(assignPromptVersion("sess_abc", arms), assignPromptVersion("sess_abc", arms));
+
+  const counts = { v1: 0, v2: 0 };
+  for (let i = 0; i < 4000; i++) counts[assignPromptVersion(`sess_${i}`, arms)]++;
+  assert.ok(counts.v1 > 800 && counts.v1 < 1200, JSON.stringify(counts));
+});
+
+test("no session or no experiment means the default version", () => {
+  assert.equal(assignPromptVersion("", parseExperiment("v1,v2")), "v3");
+  assert.equal(assignPromptVersion("sess_abc", []), "v3");
+});
+
+test("the override directory wins, with the bundled prompts behind it", async () => {
+  const custom = await buildSystemPrompt("v9", { log: quiet });
+  assert.equal(custom.version, "v9");
+  assert.match(custom.text, /^Experimental prompt for \S/);
+
+  const bundled = await buildSystemPrompt("v2", { log: quiet });
+  assert.equal(bundled.version, "v2");
+  assert.match(bundled.text, /capture_ticket_request/);
+});
+
+test("an unknown version falls back to the default", async () => {
+  const warnings = [];
+  const prompt = await buildSystemPrompt("v404", { log: { warn: (m) => warnings.push(m) } });
+  assert.equal(prompt.version, "v3");
+  assert.match(warnings[0], /v404/);
+});
@@ -0,0 +1,117 @@
+// recommendations.test.js — the recommendations fast path against a dated catalog
+// ------------------------------------
+// The catalog is written to a temp file with dates relative to today, so the
+// shows are always upcoming (plus one past show that must never come back).
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, after } = require("node:test");
+const { todayISO } = require("../shared/dates");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "fte-recs-test-"));
+
+function daysFromToday(n) {
+  const d = new Date(`${todayISO()}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+const SHOWS = [
+  { artist: "Old News", venue: "Chicago Improv", date: daysFromToday(-3), category: "comedy" },
+  { artist: "Nate Jackson", venue: "Chicago Improv", date: daysFromToday(9), category: "comedy" },
+  { artist: "Damon Darling", venue: "Zanies Comedy Club Rosemont", date: daysFromToday(12), category: "comedy" },
+  { artist: "Ali Siddiq", venue: "Zanies Comedy Club Rosemont", date: daysFromToday(15), category: "comedy" },
+  { artist: "Sam Morril", venue: "Chicago Improv", date: daysFromToday(18), category: "comedy" },
+  { artist: "Excision", venue: "House Of Blues Chicago", date: daysFromToday(10), genre: "edm" },
+  { artist: "Nghtmre", venue: "Tao Chicago", date: daysFromToday(20), genre: "edm" },
+];
+fs.writeFileSync(path.join(tmp, "shows.json"), JSON.stringify(SHOWS));
+
+Object.assign(process.env, {
+  HOME: tmp,
+  LLM_PROVIDER: "fake",
+  STORAGE_SINKS: "file",
+  STORAGE_FILE: path.join(tmp, "requests.jsonl"),
+  SESSION_STORE: "memory",
+  TRANSCRIPT_STORE: "none",
+  CATALOG_SOURCE: "file",
+  CATALOG_FILE: path.join(tmp, "shows.json"),
+  PRICES_SOURCE: "file",
+  MAIL_TRANSPORT: "none",
+  OUTBOX_DIR: path.join(tmp, "outbox"),
+  NOTIFY_CHANNELS: "",
+  SMS_PROVIDER: "none",
+});
+
+const chat = require("../chat/index.js");
+const { buildSystemPrompt } = require("../shared/prompts");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+async function post(body) {
+  const log = () => {};
+  log.info = log.warn = log.error = log;
+  const context = { log, res: null };
+  await chat(context, { method: "POST", headers: {}, body });
+  return context.res;
+}
+
+test("a vibe search recommends upcoming shows only", async () => {
+  const res = await post({ message: "can you recommend some comedy shows?" });
+  assert.equal(res.status, 200);
+  assert.match(res.body.message, /^Great! Here are a few options:/);
+  assert.deepEqual(res.body.recommendations.map(r => r.artist), ["Nate Jackson", "Damon Darling", "Ali Siddiq"]);
+  assert.ok(res.body.recommendations.every(r => r.date >= todayISO()));
+});
+
+test("the system prompt features the next upcoming shows", async () => {
+  const { text } = await buildSystemPrompt("v3", { log: { warn() {} } });
+  assert.match(text, /Nate Jackson @ Chicago Improv/);
+  assert.doesNotMatch(text, /Old News/);
+});
+
+test("vibe and venue filters combine", async () => {
+  const res = await post({ message: "any comedy shows at Zanies?" });
+  assert.deepEqual(res.body.recommendations.map(r => r.artist), ["Damon Darling", "Ali Siddiq"]);
+});
+
+test("a search with no match says so and falls back to what's coming up", async () => {
+  const res = await post({ message: "any metal shows?" });
+  assert.match(res.body.message, /^I don’t have any metal shows on my list, but here’s what’s coming up:/);
+  assert.equal(res.body.recommendations[0].artist, "Nate Jackson");
+});
+
+test("“show me more” pages through the same search", async () => {
+  let res = await post({ message: "can you recommend some comedy shows?" });
+  const sessionId = res.body.sessionId;
+  assert.match(res.body.message, /show me more/);
+
+  res = await post({ session_id: sessionId, message: "show me more" });
+  assert.match(res.body.message, /^Here are a few more:/);
+  assert.deepEqual(res.body.recommendations.map(r => r.artist), ["Sam Morril"]);
+
+  res = await post({ session_id: sessionId, message: "show me more" });
+  assert.match(res.body.message, /^That’s everything I’ve got for that search/);
+  assert.deepEqual(res.body.recommendations, []);
+});
+
+test("picking a recommendation pre-fills the request", async () => {
+  let res = await post({ message: "can you recommend some comedy shows?" });
+  const sessionId = res.body.sessionId;
+  const second = res.body.recommendations[1];
+
+  res = await post({ session_id: sessionId, message: "the second one" });
+  assert.deepEqual(res.body.picked, second);
+  assert.equal(res.body.capture.request.artist_or_event, "Damon Darling");
+  assert.equal(res.body.capture.request.venue, "Zanies Comedy Club Rosemont");
+  assert.equal(res.body.capture.request.date_or_date_range, second.date);
+});
+
+test("a recommendation can be picked by name", async () => {
+  let res = await post({ message: "can you recommend some comedy shows?" });
+  res = await post({ session_id: res.body.sessionId, message: "Ali Siddiq sounds good" });
+  assert.equal(res.body.picked?.artist, "Ali Siddiq");
+  assert.equal(res.body.capture.request.artist_or_event, "Ali Siddiq");
+});
@@ -0,0 +1,67 @@
+// sessions.test.js — session history, expiry and the file store
+// ------------------------------------
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, after } = require("node:test");
+const { createSessions, fileSessionStore } = require("../shared/sessions");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "fte-sessions-test-"));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+test("a saved session resumes with its history", async () => {
+  const sessions = createSessions({ ttlMs: 60_000 });
+  const { session, resumed } = await sessions.load("");
+  assert.equal(resumed, false);
+  session.messages.push({ role: "user", content: "hi" });
+  await sessions.save(session);
+
+  const again = await sessions.load(session.id);
+  assert.equal(again.resumed, true);
+  assert.deepEqual(again.session.messages, [{ role: "user", content: "hi" }]);
+});
+
+test("an idle session expires and a malformed ID gets a fresh one", async () => {
+  const sessions = createSessions({ ttlMs: 60_000 });
+  const { session } = await sessions.load("");
+  await sessions.save(session);
+  session.updatedAt = new Date(Date.now() - 61_000).toISOString();
+
+  const expired = await sessions.load(session.id);
+  assert.equal(expired.resumed, false);
+  assert.notEqual(expired.session.id, session.id);
+
+  const forged = await sessions.load("../../etc/passwd");
+  assert.equal(forged.resumed, false);
+  assert.match(forged.session.id, /^sess_/);
+});
+
+test("history is capped at maxMessages", async () => {
+  const sessions = createSessions({ ttlMs: 60_000, maxMessages: 3 });
+  const { session } = await sessions.load("");
+  for (let i = 0; i < 5; i++) session.messages.push({ role: "user", content: String(i) });
+  await sessions.save(session);
+  assert.deepEqual(session.messages.map(m => m.content), ["2", "3", "4"]);
+});
+
+test("the file store lets another instance resume, and drops expired sessions", async () => {
+  const dir = path.join(tmp, "store");
+  const first = createSessions({ ttlMs: 60_000, durable: fileSessionStore({ dir }) });
+  const { session } = await first.load("");
+  session.messages.push({ role: "user", content: "hello" });
+  await first.save(session);
+
+  const second = createSessions({ ttlMs: 60_000, durable: fileSessionStore({ dir }) });
+  const resumed = await second.load(session.id);
+  assert.equal(resumed.resumed, true);
+  assert.equal(resumed.session.messages[0].content, "hello");
+
+  const stale = JSON.parse(fs.readFileSync(path.join(dir, `${session.id}.json`), "utf8"));
+  stale.updatedAt = new Date(Date.now() - 61_000).toISOString();
+  fs.writeFileSync(path.join(dir, `${session.id}.json`), JSON.stringify(stale));
+  const third = createSessions({ ttlMs: 60_000, durable: fileSessionStore({ dir }) });
+  assert.equal((await third.load(session.id)).resumed, false);
+  assert.equal(fs.existsSync(path.join(dir, `${session.id}.json`)), false);
+});
@@ -0,0 +1,88 @@
+// sms.test.js — phone numbers, STOP / START / HELP and the inbound webhook
+// ------------------------------------
+
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, after } = require("node:test");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "fte-sms-test-"));
+Object.assign(process.env, {
+  HOME: tmp,
+  SMS_PROVIDER: "none",
+  SMS_OPTOUT_FILE: path.join(tmp, "optout.json"),
+  NOTIFY_CHANNELS: "",
+  MAIL_TRANSPORT: "none",
+  OUTBOX_DIR: path.join(tmp, "outbox"),
+});
+
+const { toE164, handleInbound, isOptedOut, deliverSms } = require("../shared/sms");
+const inbound = require("../sms-inbound/index.js");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function fakeContext(lines = []) {
+  const log = (...args) => lines.push(args.join(" "));
+  log.info = log.warn = log.error = log;
+  return { log, res: null };
+}
+
+test("US numbers normalize to E.164 and junk is rejected", () => {
+  assert.equal(toE164("(312) 555-0123"), "+13125550123");
+  assert.equal(toE164("1-312-555-0123"), "+13125550123");
+  assert.equal(toE164("+44 20 7946 0958"), "+442079460958");
+  assert.equal(toE164("555-0123"), "");
+  assert.equal(toE164("(112) 555-0123"), "");
+  assert.equal(toE164("+12"), "");
+  assert.equal(toE164("020 7946 0958", "44"), "+442079460958");
+});
+
+test("STOP opts out, START opts back in, HELP explains", async () => {
+  const from = "(312) 555-0199";
+  assert.match(await handleInbound(from, " Stop "), /unsubscribed/);
+  assert.equal(await isOptedOut("+13125550199"), true);
+  assert.equal(await deliverSms("confirmation", { phone: from, sms_opt_in: true }, { log: fakeContext().log }), "skipped");
+
+  assert.match(await handleInbound(from, "START"), /resubscribed/);
+  assert.equal(await isOptedOut("+13125550199"), false);
+  assert.match(await handleInbound(from, "help"), /Reply STOP to opt out/);
+});
+
+test("other texts go to the team, and say so when nobody's listening", async () => {
+  assert.match(await handleInbound("3125550199", "is my request confirmed?"), /can’t take messages/);
+  assert.equal(await handleInbound("not a number", "STOP"), "");
+});
+
+function signed(params, url, token) {
+  const data = url + Object.keys(params).sort().map(k => k + params[k]).join("");
+  return crypto.createHmac("sha1", token).update(data).digest("base64");
+}
+
+test("the webhook checks Twilio signatures and fails closed without a URL", async () => {
+  const params = { From: "+13125550177", Body: "HELP" };
+  const url = "https://example.test/api/sms/inbound?code=abc";
+  process.env.TWILIO_AUTH_TOKEN = "test-token";
+  try {
+    process.env.SMS_INBOUND_URL = url;
+    let context = fakeContext();
+    await inbound(context, { headers: { "x-twilio-signature": signed(params, url, "test-token") }, body: params });
+    assert.equal(context.res.status, 200);
+    assert.match(context.res.body, /<Message>Fair Ticket Exchange: texts/);
+
+    context = fakeContext();
+    await inbound(context, { headers: { "x-twilio-signature": signed(params, url, "wrong-token") }, body: params });
+    assert.equal(context.res.status, 403);
+
+    delete process.env.SMS_INBOUND_URL;
+    const lines = [];
+    context = fakeContext(lines);
+    await inbound(context, { headers: {}, body: params });
+    assert.equal(context.res.status, 403);
+    assert.match(lines.join("\n"), /SMS_INBOUND_URL/);
+  } finally {
+    delete process.env.TWILIO_AUTH_TOKEN;
+    delete process.env.SMS_INBOUND_URL;
+  }
+});
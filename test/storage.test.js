@@ -0,0 +1,77 @@
+// storage.test.js — saving captures: dedupe, note merging, failed sinks and groups
+// ------------------------------------
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, after } = require("node:test");
+const { saveRequest, saveRequestGroup, lookupRequest, fileSink } = require("../shared/storage");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "fte-storage-test-"));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const quiet = { warn() {}, error() {} };
+let n = 0;
+const newFile = () => path.join(tmp, `requests-${n++}.jsonl`);
+const rows = (file) => fs.readFileSync(file, "utf8").split("\n").filter(Boolean).map(l => JSON.parse(l));
+const queue = () => ({ jobs: [], async enqueue(type, payload) { this.jobs.push({ type, payload }); } });
+const failingSink = { name: "webhook", async save() { throw new Error("webhook down"); } };
+
+const capture = (overrides = {}) => ({
+  artist_or_event: "Sleep Token", ticket_qty: 2, date_or_date_range: "2026-11-06",
+  name: "Test Fan", email: "Test.Fan@example.com", notes: "", ...overrides,
+});
+
+test("a resubmission within the window is a duplicate and merges new notes", async () => {
+  const file = newFile();
+  const opts = { sinks: [fileSink({ file })], outbox: queue(), log: quiet };
+  const first = await saveRequest(capture({ notes: "aisle seats" }), opts);
+  assert.equal(first.duplicate, false);
+  assert.match(first.requestId, /^FTE-/);
+
+  const again = await saveRequest(capture({ email: "test.fan@example.com", notes: "ADA access" }), opts);
+  assert.equal(again.duplicate, true);
+  assert.equal(again.requestId, first.requestId);
+  assert.equal(again.notesMerged, true);
+  assert.deepEqual(rows(file).map(r => r.notes), ["aisle seats; ADA access"]);
+
+  // Notes it already has aren't appended twice
+  assert.equal((await saveRequest(capture({ notes: "Aisle Seats" }), opts)).notesMerged, false);
+});
+
+test("a different event or date is a new request", async () => {
+  const file = newFile();
+  const opts = { sinks: [fileSink({ file })], outbox: queue(), log: quiet };
+  await saveRequest(capture(), opts);
+  assert.equal((await saveRequest(capture({ artist_or_event: "Excision" }), opts)).duplicate, false);
+  assert.equal((await saveRequest(capture({ date_or_date_range: "2026-11-07" }), opts)).duplicate, false);
+  assert.equal(rows(file).length, 3);
+});
+
+test("failed sinks are queued for retry and the request still counts as saved", async () => {
+  const file = newFile();
+  const outbox = queue();
+  const saved = await saveRequest(capture(), { sinks: [fileSink({ file }), failingSink], outbox, log: quiet });
+  assert.equal(saved.ok, true);
+  assert.equal(saved.queued, true);
+  assert.deepEqual(saved.sinks.map(s => [s.sink, s.ok, s.queued]), [["file", true, undefined], ["webhook", false, true]]);
+  assert.deepEqual(outbox.jobs.map(j => [j.type, j.payload.sinks, j.payload.record.request_id]), [["save_request", ["webhook"], saved.requestId]]);
+});
+
+test("a group saves one linked row per event", async () => {
+  const file = newFile();
+  const group = await saveRequestGroup([capture(), capture({ artist_or_event: "Excision", ticket_qty: 4 })], { sinks: [fileSink({ file })], outbox: queue(), log: quiet });
+  assert.equal(group.ok, true);
+  assert.match(group.groupId, /^GRP-/);
+  assert.deepEqual(rows(file).map(r => [r.artist_or_event, r.group_id]), [["Sleep Token", group.groupId], ["Excision", group.groupId]]);
+});
+
+test("status lookups need the email on the request", async () => {
+  const file = newFile();
+  const sinks = [fileSink({ file })];
+  const { requestId } = await saveRequest(capture(), { sinks, outbox: queue(), log: quiet });
+  assert.equal((await lookupRequest(requestId.toLowerCase(), "test.fan@example.com", { sinks })).status, "new");
+  assert.equal(await lookupRequest(requestId, "someone.else@example.com", { sinks }), null);
+  assert.equal(await lookupRequest(requestId, "", { sinks }), null);
+});
@@ -0,0 +1,61 @@
+// templates.test.js — template syntax, HTML escaping and the bundled emails
+// ------------------------------------
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, after } = require("node:test");
+const { render, createTemplateStore } = require("../shared/templates");
+const { buildEmail } = require("../shared/email");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "fte-templates-test-"));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+test("values are escaped in HTML, raw with triple braces, and never re-expanded", () => {
+  const data = { name: `<b>"Tom" & 'Jerry'</b>`, content: "<p>ok</p>", notes: "{{brand.secret}}", brand: { secret: "leak" } };
+  assert.equal(render("Hi {{name}}", data, { html: true }), "Hi &lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;");
+  assert.equal(render("Hi {{name}}", data), `Hi <b>"Tom" & 'Jerry'</b>`);
+  assert.equal(render("{{{content}}}", data, { html: true }), "<p>ok</p>");
+  assert.equal(render("Notes: {{notes}}", data), "Notes: {{brand.secret}}");
+});
+
+test("sections, each-blocks and dotted paths", () => {
+  const tpl = "{{#if venue}}@ {{venue}}{{/if}}{{#unless venue}}TBD{{/unless}}|{{#each items}}{{index}}. {{artist}} ({{brand.name}}) {{/each}}";
+  const data = { brand: { name: "FTE" }, items: [{ artist: "A&B" }, { artist: "C" }] };
+  assert.equal(render(tpl, { ...data, venue: "Vic" }, { html: true }), "@ Vic|1. A&amp;B (FTE) 2. C (FTE) ");
+  assert.equal(render(tpl, data), "TBD|1. A&B (FTE) 2. C (FTE) ");
+  assert.equal(render("{{#each missing}}x{{/each}}{{nope.deeper}}", {}), "");
+});
+
+test("fan-supplied fields are escaped in the bundled confirmation email", () => {
+  const email = buildEmail("confirmation", {
+    artist_or_event: "Sleep Token", ticket_qty: 2, name: "<script>alert(1)</script>",
+    notes: "<img src=x onerror=alert(1)>", request_id: "FTE-TEST-0001",
+  });
+  assert.equal(email.subject, "We got your request: Sleep Token");
+  assert.doesNotMatch(email.html, /<script>|<img/);
+  assert.match(email.html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+  assert.match(email.html, /FTE-TEST-0001/);
+  assert.match(email.text, /<script>alert\(1\)<\/script>/);
+});
+
+test("a group confirmation lists every item", () => {
+  const email = buildEmail("group_confirmation", { name: "Group Fan", group_id: "GRP-TEST" }, {
+    items: [{ artist_or_event: "Excision", ticket_qty: 2 }, { artist_or_event: "Sleep Token", ticket_qty: 4 }],
+  });
+  assert.match(email.text, /Excision/);
+  assert.match(email.text, /Sleep Token/);
+  assert.match(email.html, /Sleep Token/);
+});
+
+test("an override directory wins, with the bundled templates behind it", () => {
+  fs.writeFileSync(path.join(tmp, "confirmation.subject.txt"), "Got it, {{name}}!\n");
+  const store = createTemplateStore({ dir: tmp, ttlMs: 60_000 });
+  const email = store.renderEmail("confirmation", { name: "Fan", artist: "Excision" });
+  assert.equal(email.subject, "Got it, Fan!");
+  assert.match(email.text, /Excision/);
+
+  assert.throws(() => store.renderEmail("../secrets", {}), /Invalid template name/);
+  assert.throws(() => store.renderEmail("nope", {}), /Unknown email template/);
+});
@@ -0,0 +1,73 @@
+// transcripts.test.js — per-turn chat logs: lookup and redaction
+// ------------------------------------
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, after } = require("node:test");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "fte-transcripts-test-"));
+Object.assign(process.env, { TRANSCRIPT_STORE: "file", TRANSCRIPT_DIR: tmp, TRANSCRIPT_REDACT: "pii" });
+
+const { logTurn, getTranscriptStore } = require("../shared/transcripts");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const quiet = { warn() {} };
+
+test("a group capture's turn is found by the group ID or any item's request ID", async () => {
+  await logTurn({
+    session_id: "sess_grouptest1", branch: "model", reply: "Perfect! I’ve captured 2 requests",
+    capture: [{ artist_or_event: "Excision" }, { artist_or_event: "Sleep Token" }],
+    request_id: "GRP-1", request_ids: ["FTE-A-0001", "FTE-B-0002"],
+  }, { log: quiet, contact: { name: "Group Fan", email: "group.fan@example.com" } });
+
+  const store = getTranscriptStore();
+  for (const requestId of ["GRP-1", "FTE-A-0001", "FTE-B-0002"]) {
+    const [turn] = await store.find({ requestId });
+    assert.equal(turn?.session_id, "sess_grouptest1", requestId);
+  }
+  assert.deepEqual(await store.find({ requestId: "FTE-C-0003" }), []);
+});
+
+test("emails, phone numbers and the captured contact are masked", () => {
+  const { redact } = require("../shared/transcripts");
+  const out = redact({
+    messages: [{ role: "user", content: "I'm Jane Doe, jane@example.com or (312) 555-0123. Need 2 for 10/4" }],
+    capture: { name: "Jane Doe", email: "jane@example.com", phone: "312.555.0123", ticket_qty: 2 },
+  }, ["Jane Doe", "jane@example.com", "312.555.0123"]);
+  assert.equal(out.messages[0].content, "I'm [redacted], [email] or [phone]. Need 2 for 10/4");
+  assert.deepEqual(out.capture, { name: "[redacted]", email: "[email]", phone: "[phone]", ticket_qty: 2 });
+});
+
+test("logged turns are redacted unless TRANSCRIPT_REDACT=none, and keep their IDs", async () => {
+  const turn = (sessionId) => ({
+    session_id: sessionId, branch: "model", request_id: "FTE-RED-0001",
+    messages: [{ role: "user", content: "Sam Rivers, sam.rivers@example.com" }],
+    capture: { name: "Sam Rivers", email: "sam.rivers@example.com" },
+  });
+  await logTurn(turn("sess_redacted1"), { log: quiet });
+  const [masked] = await getTranscriptStore().find({ sessionId: "sess_redacted1" });
+  assert.equal(masked.request_id, "FTE-RED-0001");
+  assert.doesNotMatch(JSON.stringify(masked), /Sam Rivers|sam\.rivers/);
+
+  process.env.TRANSCRIPT_REDACT = "none";
+  try {
+    await logTurn(turn("sess_plain0001"), { log: quiet });
+  } finally {
+    process.env.TRANSCRIPT_REDACT = "pii";
+  }
+  const [plain] = await getTranscriptStore().find({ sessionId: "sess_plain0001" });
+  assert.equal(plain.capture.email, "sam.rivers@example.com");
+});
+
+test("files older than the retention period are purged on the first write of the day", async () => {
+  const { fileTranscriptStore } = require("../shared/transcripts");
+  const dir = path.join(tmp, "retention");
+  fs.mkdirSync(dir);
+  fs.writeFileSync(path.join(dir, "2020-01-01.jsonl"), "{}\n");
+  await fileTranscriptStore({ dir, retentionDays: 30 }).append({ session_id: "sess_retention" });
+  assert.equal(fs.existsSync(path.join(dir, "2020-01-01.jsonl")), false);
+  assert.equal(fs.readdirSync(dir).length, 1);
+});